@@ -0,0 +1,86 @@
+// Server settings, from command-line flags or environment variables (.env included); a flag
+// wins over its variable. USAGE below lists them.
+//
+// loadServerConfig(args, env) returns { help, port, hostname, publicDir, kvPath, tls,
+// dirListing, trustProxy }, where tls is null, { certFile, keyFile } or { selfSigned: true }.
+// It throws on bad settings.
+
+import { parse } from "https://deno.land/std@0.190.0/flags/mod.ts";
+
+export const DEFAULT_PORT = 8000;
+export const DEFAULT_HOSTNAME = "0.0.0.0";
+export const DEFAULT_PUBLIC_DIR = "./public";
+
+const STRING_FLAGS = ["port", "host", "public-dir", "kv-path", "tls-cert", "tls-key"];
+const BOOLEAN_FLAGS = ["self-signed", "dir-listing", "trust-proxy", "help"];
+
+export const USAGE = `Usage: deno task start [options]
+
+Options (each can also be set with the environment variable shown):
+  --port <n>          PORT             Port to listen on (default ${DEFAULT_PORT})
+  --host <address>    HOST             Address to listen on (default ${DEFAULT_HOSTNAME})
+  --public-dir <dir>  PUBLIC_DIR       Static files (default ${DEFAULT_PUBLIC_DIR})
+  --kv-path <file>    KV_PATH          Deno KV database file
+  --tls-cert <file>   TLS_CERT_FILE    PEM certificate for HTTPS (with --tls-key)
+  --tls-key <file>    TLS_KEY_FILE     PEM private key for HTTPS (with --tls-cert)
+  --self-signed       TLS_SELF_SIGNED  HTTPS with a generated self-signed certificate
+  --dir-listing       DIR_LISTING      List directories under the static root
+  --trust-proxy       TRUST_PROXY      Rate-limit by X-Forwarded-For (behind a reverse proxy)
+  --help                               Show this help`;
+
+// "true", "1" and "yes" turn a boolean variable on
+function isTrue(value) {
+  return ["true", "1", "yes"].includes(String(value ?? "").toLowerCase());
+}
+
+function parsePort(value) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port '${value}' (expected 0-65535)`);
+  }
+  return port;
+}
+
+export function loadServerConfig(args, env) {
+  const unknownArgs = [];
+  const flags = parse(args, {
+    string: STRING_FLAGS,
+    boolean: BOOLEAN_FLAGS,
+    unknown: (arg) => {
+      unknownArgs.push(arg);
+      return false;
+    },
+  });
+  if (unknownArgs.length > 0) {
+    throw new Error(`Unknown argument(s): ${unknownArgs.join(" ")}`);
+  }
+  const setting = (flag, variable) => flags[flag] || env.get(variable) || null;
+
+  const certFile = setting("tls-cert", "TLS_CERT_FILE");
+  const keyFile = setting("tls-key", "TLS_KEY_FILE");
+  const selfSigned = flags["self-signed"] || isTrue(env.get("TLS_SELF_SIGNED"));
+  if (Boolean(certFile) !== Boolean(keyFile)) {
+    throw new Error("TLS needs both a certificate and a key (--tls-cert and --tls-key)");
+  }
+  if (certFile && selfSigned) {
+    throw new Error("Use either a certificate (--tls-cert/--tls-key) or --self-signed, not both");
+  }
+  let tls = null;
+  if (certFile) {
+    tls = { certFile, keyFile };
+  } else if (selfSigned) {
+    tls = { selfSigned: true };
+  }
+
+  const port = setting("port", "PORT");
+  return {
+    help: flags.help,
+    port: port === null ? DEFAULT_PORT : parsePort(port),
+    hostname: setting("host", "HOST") || DEFAULT_HOSTNAME,
+    publicDir: setting("public-dir", "PUBLIC_DIR") || DEFAULT_PUBLIC_DIR,
+    kvPath: setting("kv-path", "KV_PATH"),
+    tls,
+    dirListing: flags["dir-listing"] || isTrue(env.get("DIR_LISTING")),
+    trustProxy: flags["trust-proxy"] || isTrue(env.get("TRUST_PROXY")),
+  };
+}
@@ -0,0 +1,75 @@
+// Tests for config.js. To run: deno task test
+
+import {
+  assertEquals,
+  assertThrows,
+} from "https://deno.land/std@0.190.0/testing/asserts.ts";
+import { loadServerConfig } from "./config.js";
+
+// Stands in for Deno.env
+function envFrom(variables) {
+  return { get: (name) => variables[name] };
+}
+
+Deno.test("defaults: port 8000 on all interfaces, plain HTTP, no directory listing", () => {
+  assertEquals(loadServerConfig([], envFrom({})), {
+    help: false,
+    port: 8000,
+    hostname: "0.0.0.0",
+    publicDir: "./public",
+    kvPath: null,
+    tls: null,
+    dirListing: false,
+    trustProxy: false,
+  });
+});
+
+Deno.test("environment variables are read, and flags win over them", () => {
+  const env = envFrom({
+    PORT: "9000",
+    HOST: "127.0.0.1",
+    PUBLIC_DIR: "./static",
+    KV_PATH: "./env.db",
+    DIR_LISTING: "true",
+    TRUST_PROXY: "yes",
+  });
+  const fromEnv = loadServerConfig([], env);
+  assertEquals(fromEnv.port, 9000);
+  assertEquals(fromEnv.hostname, "127.0.0.1");
+  assertEquals(fromEnv.publicDir, "./static");
+  assertEquals(fromEnv.kvPath, "./env.db");
+  assertEquals(fromEnv.dirListing, true);
+  assertEquals(fromEnv.trustProxy, true);
+
+  const fromFlags = loadServerConfig(["--port", "8443", "--kv-path=./flag.db"], env);
+  assertEquals(fromFlags.port, 8443);
+  assertEquals(fromFlags.kvPath, "./flag.db");
+  assertEquals(fromFlags.hostname, "127.0.0.1");
+});
+
+Deno.test("TLS from a certificate and key, or self-signed", () => {
+  assertEquals(
+    loadServerConfig(["--tls-cert", "cert.pem", "--tls-key", "key.pem"], envFrom({})).tls,
+    { certFile: "cert.pem", keyFile: "key.pem" },
+  );
+  assertEquals(
+    loadServerConfig([], envFrom({ TLS_CERT_FILE: "cert.pem", TLS_KEY_FILE: "key.pem" })).tls,
+    { certFile: "cert.pem", keyFile: "key.pem" },
+  );
+  assertEquals(loadServerConfig(["--self-signed"], envFrom({})).tls, { selfSigned: true });
+  assertEquals(loadServerConfig([], envFrom({ TLS_SELF_SIGNED: "1" })).tls, { selfSigned: true });
+});
+
+Deno.test("bad settings are rejected", () => {
+  const env = envFrom({});
+  assertThrows(() => loadServerConfig(["--port", "http"], env), Error, "Invalid port");
+  assertThrows(() => loadServerConfig([], envFrom({ PORT: "70000" })), Error, "Invalid port");
+  assertThrows(() => loadServerConfig(["--tls-cert", "cert.pem"], env), Error, "both");
+  assertThrows(
+    () => loadServerConfig(["--tls-cert", "c.pem", "--tls-key", "k.pem", "--self-signed"], env),
+    Error,
+    "not both",
+  );
+  assertThrows(() => loadServerConfig(["--prot", "9000"], env), Error, "Unknown argument");
+  assertThrows(() => loadServerConfig(["extra"], env), Error, "Unknown argument");
+});
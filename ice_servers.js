@@ -0,0 +1,202 @@
+// STUN/TURN providers behind /api/ice-servers, selected with the ICE_PROVIDER env var:
+//   twilio - Twilio Network Traversal Service tokens (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN)
+//   static - a JSON file of RTCIceServer entries (ICE_SERVERS_FILE)
+//   coturn - time-limited credentials for coturn's use-auth-secret mode, generated locally
+//            (COTURN_SECRET, COTURN_URLS, optional COTURN_TTL_SECONDS)
+//   stun   - public STUN only
+// Without ICE_PROVIDER, Twilio is used when its credentials are set, otherwise public STUN.
+//
+// Every provider has the shape { name, fetchIceServers() } where fetchIceServers resolves to
+// { iceServers, ttlSeconds }. createIceServerSource wraps one in an in-memory cache.
+
+import { log } from "./logger.js";
+
+export const PUBLIC_STUN_SERVER = { urls: "stun:stun.l.google.com:19302" };
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const MAX_REFRESH_MARGIN_SECONDS = 60; // Refresh this long before credentials expire
+
+function createStunProvider() {
+  return {
+    name: "stun",
+    fetchIceServers() {
+      return Promise.resolve({
+        iceServers: [PUBLIC_STUN_SERVER],
+        ttlSeconds: Infinity,
+      });
+    },
+  };
+}
+
+function createTwilioProvider(accountSid, authToken) {
+  const twilioApiUrl =
+    `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Tokens.json`;
+  return {
+    name: "twilio",
+    async fetchIceServers() {
+      const response = await fetch(twilioApiUrl, {
+        method: "POST",
+        headers: {
+          Authorization: "Basic " + btoa(`${accountSid}:${authToken}`),
+        },
+      });
+      if (!response.ok) {
+        throw new Error(
+          `Twilio responded ${response.status}: ${await response.text()}`,
+        );
+      }
+      const data = await response.json();
+      return {
+        iceServers: [PUBLIC_STUN_SERVER, ...data.ice_servers],
+        ttlSeconds: Number(data.ttl) || DEFAULT_TTL_SECONDS, // Twilio sends ttl as a string
+      };
+    },
+  };
+}
+
+function createStaticProvider(filePath) {
+  return {
+    name: "static",
+    async fetchIceServers() {
+      const config = JSON.parse(await Deno.readTextFile(filePath));
+      const iceServers = Array.isArray(config) ? config : config.iceServers; // Bare array or { iceServers }
+      if (!Array.isArray(iceServers) || iceServers.length === 0) {
+        throw new Error(
+          `${filePath} must contain a non-empty array of ICE servers`,
+        );
+      }
+      return { iceServers, ttlSeconds: Infinity };
+    },
+  };
+}
+
+// coturn's REST API scheme: username is "<expiry unix time>:<label>" and the password is
+// base64(HMAC-SHA1(static-auth-secret, username)), so no call to the TURN server is needed.
+async function createCoturnCredential(secret, ttlSeconds) {
+  const encoder = new TextEncoder();
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const username = `${expiresAt}:lanchu`;
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-1" },
+    false,
+    ["sign"],
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    encoder.encode(username),
+  );
+  const credential = btoa(String.fromCharCode(...new Uint8Array(signature)));
+  return { username, credential };
+}
+
+function createCoturnProvider(secret, urls, ttlSeconds) {
+  return {
+    name: "coturn",
+    async fetchIceServers() {
+      const { username, credential } = await createCoturnCredential(
+        secret,
+        ttlSeconds,
+      );
+      return {
+        iceServers: [PUBLIC_STUN_SERVER, { urls, username, credential }],
+        ttlSeconds,
+      };
+    },
+  };
+}
+
+// Builds the provider named by ICE_PROVIDER. Throws if its settings are missing.
+export function createIceProvider(env) {
+  const twilioAccountSid = env.get("TWILIO_ACCOUNT_SID");
+  const twilioAuthToken = env.get("TWILIO_AUTH_TOKEN");
+  const providerName = env.get("ICE_PROVIDER") ||
+    (twilioAccountSid && twilioAuthToken ? "twilio" : "stun");
+
+  switch (providerName) {
+    case "stun":
+      return createStunProvider();
+    case "twilio":
+      if (!twilioAccountSid || !twilioAuthToken) {
+        throw new Error(
+          "ICE_PROVIDER=twilio requires TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN",
+        );
+      }
+      return createTwilioProvider(twilioAccountSid, twilioAuthToken);
+    case "static": {
+      const filePath = env.get("ICE_SERVERS_FILE");
+      if (!filePath) {
+        throw new Error("ICE_PROVIDER=static requires ICE_SERVERS_FILE");
+      }
+      return createStaticProvider(filePath);
+    }
+    case "coturn": {
+      const secret = env.get("COTURN_SECRET");
+      const urls = (env.get("COTURN_URLS") || "")
+        .split(",")
+        .map((url) => url.trim())
+        .filter(Boolean);
+      if (!secret || urls.length === 0) {
+        throw new Error(
+          "ICE_PROVIDER=coturn requires COTURN_SECRET and COTURN_URLS",
+        );
+      }
+      const ttlSeconds = Number(env.get("COTURN_TTL_SECONDS")) ||
+        DEFAULT_TTL_SECONDS;
+      return createCoturnProvider(secret, urls, ttlSeconds);
+    }
+    default:
+      throw new Error(
+        `Unknown ICE_PROVIDER '${providerName}' (expected twilio, static, coturn or stun)`,
+      );
+  }
+}
+
+// Caches a provider's result until shortly before its TTL runs out. Concurrent callers
+// share a single upstream fetch; failures are not cached. onFetch({ ok, durationMs }) is
+// called after every upstream fetch (not for cache hits), for metrics.
+export function createIceServerSource(provider, { onFetch } = {}) {
+  let cached = null; // { iceServers, expiresAt }
+  let pendingFetch = null;
+
+  return {
+    name: provider.name,
+    async getIceServers() {
+      if (cached && Date.now() < cached.expiresAt) {
+        return cached.iceServers;
+      }
+      if (!pendingFetch) {
+        const startedAt = performance.now();
+        const reportFetch = (ok) =>
+          onFetch?.({ ok, durationMs: performance.now() - startedAt });
+        pendingFetch = provider.fetchIceServers()
+          .then(({ iceServers, ttlSeconds }) => {
+            reportFetch(true);
+            const refreshMarginSeconds = Math.min(
+              MAX_REFRESH_MARGIN_SECONDS,
+              ttlSeconds * 0.1,
+            );
+            cached = {
+              iceServers,
+              expiresAt: Date.now() +
+                (ttlSeconds - refreshMarginSeconds) * 1000,
+            };
+            log.info("Fetched ICE servers", {
+              provider: provider.name,
+              urls: iceServers.map((s) => s.urls),
+            });
+            return iceServers;
+          }, (error) => {
+            reportFetch(false);
+            throw error;
+          })
+          .finally(() => {
+            pendingFetch = null;
+          });
+      }
+      return await pendingFetch;
+    },
+  };
+}
@@ -0,0 +1,450 @@
+// Administration of the signaling data in Deno KV (everything under ["webrtc_signal"]):
+//   list-rooms                  Rooms with their entry counts and ages
+//   dump <room>                 The room's roster, offers, answers and candidates, SDP summarised
+//   prune --older-than <age>    Remove signals and roster entries older than e.g. 10m, 2h or 1d
+//   clear <room> | --all        Remove one room, or every room
+//   watch <room>                Print the room's changes as they happen (Ctrl+C to stop)
+// Each has a deno task, e.g. deno task kv-dump standup. Uses KV_PATH (or --kv-path) like the server.
+//
+// Safe to run while the server is up: an entry is only deleted if it hasn't changed since it was
+// read (an atomic check of its versionstamp), so a heartbeat or a newer offer that lands in
+// between survives. Roster entries are removed the way the server's own leave does it, together
+// with a bump of the room's roster version, so a join in progress retries instead of racing it.
+
+import { parse } from "https://deno.land/std@0.190.0/flags/mod.ts";
+import { load } from "@std/dotenv";
+
+const SIGNAL_PREFIX = ["webrtc_signal"];
+const SIGNAL_TYPES = ["offer", "answer", "candidate"];
+const BOOKKEEPING_KINDS = ["roster_version", "key_check", "last_signal"];
+const ROSTER_VERSION_TTL_MS = 5 * 60 * 1000; // Same expiry as server.js gives it
+const ROSTER_UPDATE_MAX_ATTEMPTS = 5; // Same limit as server.js's JOIN_MAX_ATTEMPTS
+const CLEAR_MAX_PASSES = 3; // Entries written during a clear are picked up by the next pass
+const WATCH_POLL_MS = 1000;
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const USAGE = `Usage: deno task kv-list-rooms
+       deno task kv-dump <room>
+       deno task kv-prune --older-than <age>   (e.g. 90s, 10m, 2h, 1d)
+       deno task kv-clear <room> | --all
+       deno task kv-watch <room>
+
+Options:
+  --kv-path <file>   Deno KV database file (default: KV_PATH, or Deno's default)`;
+
+// "10m" -> 600000
+export function parseDuration(text) {
+  const match = String(text).match(/^(\d+)(ms|s|m|h|d)$/);
+  if (!match) {
+    throw new Error(`Invalid age '${text}' (expected e.g. 90s, 10m, 2h or 1d)`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+function formatAge(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 60 * 60) {
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+  if (seconds < 24 * 60 * 60) {
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  }
+  return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
+}
+
+function shortId(id) {
+  return typeof id === "string" ? id.substring(0, 8) : String(id);
+}
+
+async function listEntries(kv, prefix) {
+  const entries = [];
+  for await (const entry of kv.list({ prefix })) {
+    entries.push(entry);
+  }
+  return entries;
+}
+
+// When the entry was written (signals) or last refreshed (roster), or null if it doesn't say
+function entryTimestamp(entry) {
+  const kind = entry.key[2];
+  if (kind === "peers") {
+    return entry.value?.lastSeen ?? null;
+  }
+  if (SIGNAL_TYPES.includes(kind)) {
+    return entry.value?.storedAt ?? null;
+  }
+  if (kind === "last_signal") {
+    return entry.value;
+  }
+  return null;
+}
+
+// --- Summaries ---
+
+// "offer: audio opus sendrecv, video VP8 recvonly; 2 candidates, 3012 bytes"
+export function summarizeSdp(type, sdp) {
+  const lines = sdp.split(/\r?\n/);
+  const sections = [];
+  for (const line of lines) {
+    if (line.startsWith("m=")) {
+      sections.push({ kind: line.substring(2).split(" ")[0], codec: null, direction: null });
+    } else if (sections.length > 0) {
+      const section = sections[sections.length - 1];
+      if (!section.codec && line.startsWith("a=rtpmap:")) {
+        section.codec = line.split(" ")[1]?.split("/")[0] ?? null;
+      } else if (/^a=(sendrecv|sendonly|recvonly|inactive)$/.test(line)) {
+        section.direction = line.substring(2);
+      }
+    }
+  }
+  const media = sections
+    .map((section) => [section.kind, section.codec, section.direction].filter(Boolean).join(" "))
+    .join(", ");
+  const candidates = lines.filter((line) => line.startsWith("a=candidate:")).length;
+  return `${type}: ${media || "no media"}; ${candidates} candidates, ${sdp.length} bytes`;
+}
+
+// "host udp 192.168.1.20:54321"
+function summarizeCandidate(candidate) {
+  if (!candidate.candidate) {
+    return "end of candidates";
+  }
+  const parts = candidate.candidate.replace(/^a=/, "").split(" ");
+  const typIndex = parts.indexOf("typ");
+  const type = typIndex >= 0 ? parts[typIndex + 1] : "?";
+  return `${type} ${parts[2]?.toLowerCase() ?? "?"} ${parts[4] ?? "?"}:${parts[5] ?? "?"}`;
+}
+
+// Payloads sealed with a room passphrase (see public/e2e.js) can't be read here
+function summarizePayload(payload) {
+  if (payload === null || payload === undefined) {
+    return "no payload";
+  }
+  if (typeof payload.ciphertext === "string" && payload.e2e !== undefined) {
+    return `encrypted (${payload.ciphertext.length} characters)`;
+  }
+  if (typeof payload.sdp === "string") {
+    return summarizeSdp(payload.type ?? "description", payload.sdp);
+  }
+  if ("candidate" in payload) {
+    return summarizeCandidate(payload);
+  }
+  return JSON.stringify(payload).substring(0, 120);
+}
+
+function describeEntry(entry, now = Date.now()) {
+  const [, , kind, toPeerId, fromPeerId] = entry.key;
+  const timestamp = entryTimestamp(entry);
+  const age = timestamp === null ? "" : ` (${formatAge(now - timestamp)} ago)`;
+  if (kind === "peers") {
+    return `peer ${toPeerId}, joined ${formatAge(now - entry.value.joinedAt)} ago, ` +
+      `last seen ${formatAge(now - entry.value.lastSeen)} ago`;
+  }
+  if (kind === "offer" || kind === "answer") {
+    return `${kind} ${shortId(fromPeerId)} -> ${shortId(toPeerId)} seq ${entry.value.seq}${age}: ` +
+      summarizePayload(entry.value.payload);
+  }
+  if (kind === "candidate") {
+    // Entries from before storedAt was added hold the bare payload
+    const payload = entry.value?.storedAt !== undefined ? entry.value.payload : entry.value;
+    return `candidate ${shortId(fromPeerId)} -> ${shortId(toPeerId)}${age}: ${summarizePayload(payload)}`;
+  }
+  if (kind === "roster_version") {
+    return `roster version ${entry.value}`;
+  }
+  if (kind === "key_check") {
+    return "passphrase check value set";
+  }
+  if (kind === "last_signal") {
+    return `last signal${age}`;
+  }
+  return `${JSON.stringify(entry.key.slice(2))}: ${JSON.stringify(entry.value).substring(0, 120)}`;
+}
+
+// --- Deleting ---
+
+// Returns false if the entry changed since it was read
+async function deleteIfUnchanged(kv, entry) {
+  const result = await kv.atomic().check(entry).delete(entry.key).commit();
+  return result.ok;
+}
+
+// Like the server's leaveRoom(): the roster entry goes atomically with a roster version bump.
+// Returns false if the entry changed since it was read (e.g. a heartbeat), or if the roster kept
+// changing; either way the entry is left for the next pass.
+async function deleteRosterEntry(kv, entry) {
+  const versionKey = [...SIGNAL_PREFIX, entry.key[1], "roster_version"];
+  for (let attempt = 1; attempt <= ROSTER_UPDATE_MAX_ATTEMPTS; attempt++) {
+    const versionEntry = await kv.get(versionKey);
+    const result = await kv.atomic()
+      .check(entry)
+      .check(versionEntry)
+      .set(versionKey, (versionEntry.value ?? 0) + 1, { expireIn: ROSTER_VERSION_TTL_MS })
+      .delete(entry.key)
+      .commit();
+    if (result.ok) {
+      return true;
+    }
+    if ((await kv.get(entry.key)).versionstamp !== entry.versionstamp) {
+      return false;
+    }
+    // Only the roster version moved (someone joined or left): try again with the new one
+  }
+  return false;
+}
+
+function deleteEntry(kv, entry) {
+  return entry.key[2] === "peers" ? deleteRosterEntry(kv, entry) : deleteIfUnchanged(kv, entry);
+}
+
+// --- Commands ---
+
+// [{ room, participants, counts: { kind: n }, oldest, newest }], with oldest/newest as timestamps
+export async function listRooms(kv) {
+  const rooms = new Map();
+  for (const entry of await listEntries(kv, SIGNAL_PREFIX)) {
+    const [, room, kind] = entry.key;
+    if (!rooms.has(room)) {
+      rooms.set(room, { room, participants: 0, counts: {}, oldest: null, newest: null });
+    }
+    const summary = rooms.get(room);
+    summary.counts[kind] = (summary.counts[kind] ?? 0) + 1;
+    if (kind === "peers") {
+      summary.participants++;
+    }
+    const timestamp = entryTimestamp(entry);
+    if (timestamp !== null) {
+      summary.oldest = summary.oldest === null ? timestamp : Math.min(summary.oldest, timestamp);
+      summary.newest = summary.newest === null ? timestamp : Math.max(summary.newest, timestamp);
+    }
+  }
+  return [...rooms.values()];
+}
+
+// Removes signals and roster entries older than maxAgeMs. A room left with neither also loses
+// its roster version, passphrase check value and last-signal time. Entries without a time
+// (written before times were stored) are left to their KV expiry.
+// Returns { deleted, changed }, changed being entries that were updated while pruning and kept.
+export async function pruneEntries(kv, maxAgeMs, now = Date.now()) {
+  const cutoff = now - maxAgeMs;
+  const rooms = new Map(); // room -> entries
+  for (const entry of await listEntries(kv, SIGNAL_PREFIX)) {
+    const room = entry.key[1];
+    rooms.set(room, [...(rooms.get(room) ?? []), entry]);
+  }
+
+  let deleted = 0;
+  let changed = 0;
+  for (const [room, entries] of rooms) {
+    let remaining = 0; // Signals and roster entries still in the room
+    for (const entry of entries) {
+      if (BOOKKEEPING_KINDS.includes(entry.key[2])) {
+        continue;
+      }
+      const timestamp = entryTimestamp(entry);
+      if (timestamp === null || timestamp >= cutoff) {
+        remaining++;
+      } else if (await deleteEntry(kv, entry)) {
+        deleted++;
+      } else {
+        changed++;
+        remaining++;
+      }
+    }
+    if (remaining > 0) {
+      continue;
+    }
+    // Read again: deleting roster entries just bumped the roster version
+    const bookkeeping = await kv.getMany(BOOKKEEPING_KINDS.map((kind) => [...SIGNAL_PREFIX, room, kind]));
+    for (const entry of bookkeeping.filter((entry) => entry.versionstamp !== null)) {
+      if (await deleteIfUnchanged(kv, entry)) {
+        deleted++;
+      } else {
+        changed++;
+      }
+    }
+  }
+  return { deleted, changed };
+}
+
+// Removes every entry of one room, or of every room (room null). Returns { deleted, remaining },
+// remaining being entries still there after CLEAR_MAX_PASSES because participants kept writing.
+export async function clearRooms(kv, room = null) {
+  const prefix = room === null ? SIGNAL_PREFIX : [...SIGNAL_PREFIX, room];
+  let deleted = 0;
+  for (let pass = 1; pass <= CLEAR_MAX_PASSES; pass++) {
+    const entries = await listEntries(kv, prefix);
+    if (entries.length === 0) {
+      break;
+    }
+    // Roster entries first, as if everyone left, then their signals and the bookkeeping
+    entries.sort((a, b) => Number(b.key[2] === "peers") - Number(a.key[2] === "peers"));
+    for (const entry of entries) {
+      if (await deleteEntry(kv, entry)) {
+        deleted++;
+      }
+    }
+  }
+  return { deleted, remaining: (await listEntries(kv, prefix)).length };
+}
+
+async function printRoomList(kv) {
+  const rooms = await listRooms(kv);
+  if (rooms.length === 0) {
+    console.log("No rooms.");
+    return;
+  }
+  const now = Date.now();
+  for (const { room, participants, counts, oldest, newest } of rooms) {
+    const entries = Object.entries(counts).map(([kind, count]) => `${kind} ${count}`).join(", ");
+    const ages = oldest === null
+      ? "no timestamps"
+      : `oldest ${formatAge(now - oldest)} ago, newest ${formatAge(now - newest)} ago`;
+    console.log(`${room}: ${participants} participant(s); ${entries}; ${ages}`);
+  }
+}
+
+async function printRoomDump(kv, room) {
+  const entries = await listEntries(kv, [...SIGNAL_PREFIX, room]);
+  if (entries.length === 0) {
+    console.log(`Room '${room}' has no entries.`);
+    return;
+  }
+  const sections = [
+    ["Roster", ["peers"]],
+    ["Offers", ["offer"]],
+    ["Answers", ["answer"]],
+    ["Candidates", ["candidate"]],
+    ["Other", null],
+  ];
+  const known = sections.flatMap(([, kinds]) => kinds ?? []);
+  for (const [title, kinds] of sections) {
+    const matching = entries.filter((entry) =>
+      kinds ? kinds.includes(entry.key[2]) : !known.includes(entry.key[2])
+    );
+    if (matching.length > 0) {
+      console.log(`${title} (${matching.length}):`);
+      for (const entry of matching) {
+        console.log(`  ${describeEntry(entry)}`);
+      }
+    }
+  }
+}
+
+// kv.watch() takes individual keys, not prefixes, so this watches the two keys the server
+// updates on every change in a room (its roster version and last-signal time) and diffs the
+// room's entries each time one of them moves. A local (SQLite) KV store only tells watchers
+// about writes from their own process, which the server isn't, so the room is also read
+// again every WATCH_POLL_MS.
+async function watchRoom(kv, room) {
+  const snapshot = async () =>
+    new Map((await listEntries(kv, [...SIGNAL_PREFIX, room])).map((entry) => [JSON.stringify(entry.key), entry]));
+  let previous = await snapshot();
+  console.log(`Watching room '${room}' (${previous.size} entries). Press Ctrl+C to stop.`);
+  const changes = kv.watch([
+    [...SIGNAL_PREFIX, room, "roster_version"],
+    [...SIGNAL_PREFIX, room, "last_signal"],
+  ])[Symbol.asyncIterator]();
+  let nextChange = changes.next();
+  while (true) {
+    let timer;
+    const poll = new Promise((resolve) => {
+      timer = setTimeout(resolve, WATCH_POLL_MS);
+    });
+    if (await Promise.race([nextChange.then(() => "watch"), poll]) === "watch") {
+      nextChange = changes.next();
+    }
+    clearTimeout(timer);
+    const current = await snapshot();
+    const time = new Date().toLocaleTimeString();
+    for (const [key, entry] of current) {
+      const before = previous.get(key);
+      if (!before) {
+        console.log(`${time} + ${describeEntry(entry)}`);
+      } else if (before.versionstamp !== entry.versionstamp) {
+        console.log(`${time} ~ ${describeEntry(entry)}`);
+      }
+    }
+    for (const [key, entry] of previous) {
+      if (!current.has(key)) {
+        console.log(`${time} - ${describeEntry(entry)}`);
+      }
+    }
+    previous = current;
+  }
+}
+
+function usageError(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  Deno.exit(2);
+}
+
+async function main(args) {
+  const flags = parse(args, {
+    string: ["kv-path", "older-than"],
+    boolean: ["all", "help"],
+  });
+  const [command, room] = flags._.map(String);
+  if (flags.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (["dump", "watch"].includes(command) && !room) {
+    usageError(`'${command}' needs a room.`);
+  }
+  if (command === "clear" && !room && !flags.all) {
+    usageError("'clear' needs a room, or --all for every room.");
+  }
+  let maxAgeMs = null;
+  if (command === "prune") {
+    if (!flags["older-than"]) {
+      usageError("'prune' needs --older-than, e.g. --older-than 10m.");
+    }
+    try {
+      maxAgeMs = parseDuration(flags["older-than"]);
+    } catch (error) {
+      usageError(error.message);
+    }
+  }
+  if (!["list-rooms", "dump", "prune", "clear", "watch"].includes(command)) {
+    usageError(`Unknown command '${command}'.`);
+  }
+
+  try {
+    await load({ export: true }); // KV_PATH may be set in .env, as for the server
+  } catch (error) {
+    console.warn("Could not load .env:", error.message);
+  }
+  const kvPath = flags["kv-path"] || Deno.env.get("KV_PATH") || undefined;
+  const kv = await Deno.openKv(kvPath);
+  try {
+    if (command === "list-rooms") {
+      await printRoomList(kv);
+    } else if (command === "dump") {
+      await printRoomDump(kv, room);
+    } else if (command === "prune") {
+      const { deleted, changed } = await pruneEntries(kv, maxAgeMs);
+      console.log(`Deleted ${deleted} entries older than ${flags["older-than"]}.`);
+      if (changed > 0) {
+        console.log(`Kept ${changed} entries that were updated while pruning.`);
+      }
+    } else if (command === "clear") {
+      const { deleted, remaining } = await clearRooms(kv, flags.all ? null : room);
+      console.log(`Deleted ${deleted} entries from ${flags.all ? "every room" : `room '${room}'`}.`);
+      if (remaining > 0) {
+        console.log(`${remaining} entries were written while clearing and are still there.`);
+      }
+    } else if (command === "watch") {
+      await watchRoom(kv, room);
+    }
+  } finally {
+    kv.close();
+  }
+}
+
+if (import.meta.main) {
+  await main(Deno.args);
+}
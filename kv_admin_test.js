@@ -0,0 +1,150 @@
+// Tests for kv_admin.js, against an in-memory Deno KV store. To run: deno task test
+
+import {
+  assertEquals,
+  assertThrows,
+} from "https://deno.land/std@0.190.0/testing/asserts.ts";
+import {
+  clearRooms,
+  listRooms,
+  parseDuration,
+  pruneEntries,
+  summarizeSdp,
+} from "./kv_admin.js";
+
+const NOW = Date.parse("2024-05-01T12:00:00Z");
+const MINUTE = 60 * 1000;
+
+// Runs a test against a fresh in-memory KV store
+async function withKv(test) {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    await test(kv);
+  } finally {
+    kv.close();
+  }
+}
+
+// A room the way the server leaves it: roster, bookkeeping and signals, all ageMinutes old
+async function addRoom(kv, room, ageMinutes, { peers = ["alice", "bob"] } = {}) {
+  const at = NOW - ageMinutes * MINUTE;
+  for (const peerId of peers) {
+    await kv.set(["webrtc_signal", room, "peers", peerId], { joinedAt: at, lastSeen: at });
+  }
+  await kv.set(["webrtc_signal", room, "roster_version"], peers.length);
+  await kv.set(["webrtc_signal", room, "last_signal"], at);
+  await kv.set(["webrtc_signal", room, "offer", "alice", "bob"], {
+    seq: 1,
+    payload: { type: "offer", sdp: "v=0" },
+    storedAt: at,
+  });
+  await kv.set(["webrtc_signal", room, "candidate", "bob", "alice", crypto.randomUUID()], {
+    payload: { candidate: "candidate:1 1 udp 2122260223 192.168.1.20 54321 typ host" },
+    storedAt: at,
+  });
+}
+
+async function keysOf(kv, prefix) {
+  const keys = [];
+  for await (const entry of kv.list({ prefix })) {
+    keys.push(entry.key.slice(1));
+  }
+  return keys;
+}
+
+Deno.test("parseDuration reads ms, s, m, h and d", () => {
+  assertEquals(parseDuration("500ms"), 500);
+  assertEquals(parseDuration("90s"), 90 * 1000);
+  assertEquals(parseDuration("10m"), 10 * MINUTE);
+  assertEquals(parseDuration("2h"), 120 * MINUTE);
+  assertEquals(parseDuration("1d"), 24 * 60 * MINUTE);
+  assertThrows(() => parseDuration("10"), Error, "Invalid age");
+  assertThrows(() => parseDuration("ten minutes"), Error, "Invalid age");
+});
+
+Deno.test("summarizeSdp lists media sections with codec and direction", () => {
+  const sdp = [
+    "v=0",
+    "m=audio 9 UDP/TLS/RTP/SAVPF 111",
+    "a=rtpmap:111 opus/48000/2",
+    "a=sendrecv",
+    "a=candidate:1 1 udp 2122260223 192.168.1.20 54321 typ host",
+    "m=video 9 UDP/TLS/RTP/SAVPF 96",
+    "a=rtpmap:96 VP8/90000",
+    "a=recvonly",
+    "m=application 9 UDP/DTLS/SCTP webrtc-datachannel",
+    "",
+  ].join("\r\n");
+  assertEquals(
+    summarizeSdp("offer", sdp),
+    `offer: audio opus sendrecv, video VP8 recvonly, application; 1 candidates, ${sdp.length} bytes`,
+  );
+});
+
+Deno.test("listRooms counts entries per kind with their ages", async () => {
+  await withKv(async (kv) => {
+    await addRoom(kv, "standup", 3);
+    await addRoom(kv, "retro", 30, { peers: ["carol"] });
+    const rooms = await listRooms(kv);
+    assertEquals(rooms.map((room) => room.room), ["retro", "standup"]);
+    const standup = rooms[1];
+    assertEquals(standup.participants, 2);
+    assertEquals(standup.counts, {
+      candidate: 1,
+      last_signal: 1,
+      offer: 1,
+      peers: 2,
+      roster_version: 1,
+    });
+    assertEquals(standup.oldest, NOW - 3 * MINUTE);
+    assertEquals(standup.newest, NOW - 3 * MINUTE);
+  });
+});
+
+Deno.test("prune removes old entries, and the bookkeeping of rooms left empty", async () => {
+  await withKv(async (kv) => {
+    await addRoom(kv, "fresh", 2);
+    await addRoom(kv, "stale", 20);
+    // A room with an old signal but a participant who is still heartbeating
+    await addRoom(kv, "mixed", 20, { peers: [] });
+    await kv.set(["webrtc_signal", "mixed", "peers", "dave"], { joinedAt: NOW, lastSeen: NOW });
+
+    const { deleted, changed } = await pruneEntries(kv, 10 * MINUTE, NOW);
+    assertEquals(changed, 0);
+    assertEquals(deleted, 6 + 2); // Everything in "stale", the two signals in "mixed"
+    assertEquals(await keysOf(kv, ["webrtc_signal", "stale"]), []);
+    assertEquals((await keysOf(kv, ["webrtc_signal", "fresh"])).length, 6);
+    assertEquals(await keysOf(kv, ["webrtc_signal", "mixed"]), [
+      ["mixed", "last_signal"],
+      ["mixed", "peers", "dave"],
+      ["mixed", "roster_version"],
+    ]);
+  });
+});
+
+Deno.test("pruning a roster entry bumps the room's roster version", async () => {
+  await withKv(async (kv) => {
+    await addRoom(kv, "standup", 20, { peers: ["alice"] });
+    await kv.set(["webrtc_signal", "standup", "peers", "bob"], { joinedAt: NOW, lastSeen: NOW });
+    await pruneEntries(kv, 10 * MINUTE, NOW);
+    assertEquals((await kv.get(["webrtc_signal", "standup", "peers", "alice"])).value, null);
+    assertEquals((await kv.get(["webrtc_signal", "standup", "roster_version"])).value, 2);
+  });
+});
+
+Deno.test("clear removes one room, or every room with --all", async () => {
+  await withKv(async (kv) => {
+    await addRoom(kv, "standup", 1);
+    await addRoom(kv, "retro", 1);
+    await kv.set(["chat_history", "standup", "settings"], { enabled: true });
+
+    assertEquals(await clearRooms(kv, "standup"), { deleted: 6, remaining: 0 });
+    assertEquals(await keysOf(kv, ["webrtc_signal", "standup"]), []);
+    assertEquals((await keysOf(kv, ["webrtc_signal", "retro"])).length, 6);
+
+    assertEquals((await clearRooms(kv)).remaining, 0);
+    assertEquals(await keysOf(kv, ["webrtc_signal"]), []);
+    // Chat history isn't signaling data and has its own expiry
+    assertEquals((await kv.get(["chat_history", "standup", "settings"])).value, { enabled: true });
+  });
+});
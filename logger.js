@@ -0,0 +1,51 @@
+// Structured logs: one JSON object per line, e.g.
+//   {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"Peer joined room","room":"abc","peerId":"..."}
+// LOG_LEVEL (debug, info, warn or error; default info) sets the lowest level that is written.
+// Warnings and errors go to stderr, everything else to stdout.
+//
+// Usage: log.info("message", { field: value }). Error values are written as
+// { name, message, stack }.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+let minimumLevel = LEVELS.info;
+
+// Returns false (keeping the current level) if the name isn't a known level
+export function setLogLevel(name) {
+  const level = LEVELS[String(name).toLowerCase()];
+  if (level === undefined) {
+    return false;
+  }
+  minimumLevel = level;
+  return true;
+}
+
+function serializeField(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minimumLevel) {
+    return;
+  }
+  const entry = { time: new Date().toISOString(), level, msg };
+  for (const [name, value] of Object.entries(fields)) {
+    entry[name] = serializeField(value);
+  }
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
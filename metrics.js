@@ -0,0 +1,124 @@
+// Metrics for /metrics in the Prometheus text format, without a client library.
+//
+// createMetricsRegistry() returns a registry with:
+//   counter(name, help)            -> { inc(labels = {}, value = 1) }
+//   histogram(name, help, buckets) -> { observe(labels, value) }   (buckets: upper bounds, ascending)
+//   gauge(name, help, collect)     -> collect() runs on every scrape and returns a number, or an
+//                                     array of { labels, value } (empty for no samples)
+//   render()                       -> resolves to the text exposition of every metric
+
+import { log } from "./logger.js";
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  return {
+    counter(name, help) {
+      const series = new Map(); // formatted labels -> value
+      return register({
+        name,
+        help,
+        type: "counter",
+        inc(labels = {}, value = 1) {
+          const key = formatLabels(labels);
+          series.set(key, (series.get(key) || 0) + value);
+        },
+        lines() {
+          return [...series].map(([labels, value]) => `${name}${labels} ${formatValue(value)}`);
+        },
+      });
+    },
+
+    histogram(name, help, buckets) {
+      const series = new Map(); // formatted labels -> { labels, counts, sum, count }
+      return register({
+        name,
+        help,
+        type: "histogram",
+        observe(labels, value) {
+          const key = formatLabels(labels);
+          if (!series.has(key)) {
+            series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+          }
+          const entry = series.get(key);
+          buckets.forEach((bound, index) => {
+            if (value <= bound) {
+              entry.counts[index]++;
+            }
+          });
+          entry.sum += value;
+          entry.count++;
+        },
+        lines() {
+          const lines = [];
+          for (const [key, { labels, counts, sum, count }] of series) {
+            buckets.forEach((bound, index) => {
+              const bucketLabels = formatLabels({ ...labels, le: formatValue(bound) });
+              lines.push(`${name}_bucket${bucketLabels} ${counts[index]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+            lines.push(`${name}_sum${key} ${formatValue(sum)}`);
+            lines.push(`${name}_count${key} ${count}`);
+          }
+          return lines;
+        },
+      });
+    },
+
+    gauge(name, help, collect) {
+      return register({
+        name,
+        help,
+        type: "gauge",
+        async lines() {
+          const result = await collect();
+          const samples = typeof result === "number" ? [{ labels: {}, value: result }] : result;
+          return samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+        },
+      });
+    },
+
+    // A gauge whose collect() throws is left out of this scrape instead of failing all of it
+    async render() {
+      const output = [];
+      for (const metric of metrics) {
+        let lines;
+        try {
+          lines = await metric.lines();
+        } catch (error) {
+          log.warn("Could not collect metric", { metric: metric.name, error });
+          continue;
+        }
+        output.push(`# HELP ${metric.name} ${metric.help}`);
+        output.push(`# TYPE ${metric.name} ${metric.type}`);
+        output.push(...lines);
+      }
+      return output.join("\n") + "\n";
+    },
+  };
+}
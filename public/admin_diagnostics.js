@@ -0,0 +1,138 @@
+// DOM Elements
+const adminTokenForm = document.getElementById("adminTokenForm");
+const adminTokenInput = document.getElementById("adminTokenInput");
+const showAllSessions = document.getElementById("showAllSessions");
+const sessionListStatus = document.getElementById("sessionListStatus");
+const sessionTable = document.getElementById("sessionTable");
+const sessionList = document.getElementById("sessionList");
+const sessionDetails = document.getElementById("sessionDetails");
+const sessionDetailsTitle = document.getElementById("sessionDetailsTitle");
+const sessionTimeline = document.getElementById("sessionTimeline");
+const sessionRawReport = document.getElementById("sessionRawReport");
+
+// Kept for this tab only, so the token isn't left behind in the browser
+const ADMIN_TOKEN_STORAGE_KEY = "lanchu.adminToken";
+
+function formatTime(ts) {
+  return ts ? new Date(ts).toLocaleString() : "–";
+}
+
+function shortId(id) {
+  return id ? id.substring(0, 8) : "–";
+}
+
+async function fetchAdmin(path) {
+  const response = await fetch(path, {
+    headers: { Authorization: `Bearer ${adminTokenInput.value}` },
+  });
+  if (!response.ok) {
+    throw new Error(`${response.status}: ${await response.text()}`);
+  }
+  return await response.json();
+}
+
+// --- Session list ---
+async function loadSessions() {
+  sessionListStatus.textContent = "Loading...";
+  try {
+    const failed = showAllSessions.checked ? "false" : "true";
+    const sessions = await fetchAdmin(`/api/diagnostics?failed=${failed}`);
+    sessionStorage.setItem(ADMIN_TOKEN_STORAGE_KEY, adminTokenInput.value);
+    sessionList.replaceChildren(...sessions.map(createSessionRow));
+    sessionTable.hidden = sessions.length === 0;
+    sessionListStatus.textContent = sessions.length === 0 ? "No reports." : "";
+  } catch (error) {
+    console.error("Error loading diagnostics reports:", error);
+    sessionTable.hidden = true;
+    sessionListStatus.textContent = `Could not load reports (${error.message}).`;
+  }
+}
+
+function createSessionRow(session) {
+  const row = document.createElement("tr");
+  row.classList.toggle("failed", session.failed);
+  const cells = [
+    formatTime(session.receivedAt),
+    session.room,
+    shortId(session.peerId),
+    session.connected ? "yes" : "no",
+    String(session.errorCount),
+    session.lastError || "",
+    session.userAgent || "",
+  ];
+  for (const text of cells) {
+    const cell = document.createElement("td");
+    cell.textContent = text;
+    row.appendChild(cell);
+  }
+  row.addEventListener("click", () => loadSessionDetails(session.sessionId));
+  return row;
+}
+
+// --- Session details ---
+async function loadSessionDetails(sessionId) {
+  try {
+    const report = await fetchAdmin(`/api/diagnostics/${encodeURIComponent(sessionId)}`);
+    renderSessionDetails(report);
+  } catch (error) {
+    console.error(`Error loading diagnostics report ${sessionId}:`, error);
+    alert(`Could not load the report: ${error.message}`);
+  }
+}
+
+// Events, candidates and errors interleaved by time
+function renderSessionDetails(report) {
+  sessionDetailsTitle.textContent =
+    `Session ${shortId(report.sessionId)} in room '${report.room}' (peer ${shortId(report.peerId)})`;
+  const entries = [
+    ...report.events.map((event) => ({
+      ts: event.ts,
+      peer: event.peer,
+      text: `${event.kind}: ${event.state}`,
+    })),
+    ...report.candidates.map((candidate) => ({
+      ts: candidate.ts,
+      peer: candidate.peer,
+      text: `${candidate.side} candidate: ${candidate.type} ${candidate.protocol}` +
+        (candidate.address ? ` ${candidate.address}:${candidate.port}` : ""),
+    })),
+    ...report.errors.map((error) => ({
+      ts: error.ts,
+      peer: error.peer,
+      text: `error: ${error.message}`,
+      isError: true,
+    })),
+  ].sort((a, b) => a.ts - b.ts);
+
+  sessionTimeline.replaceChildren(...entries.map((entry) => {
+    const li = document.createElement("li");
+    li.classList.toggle("error", entry.isError === true);
+    const time = entry.ts ? new Date(entry.ts).toLocaleTimeString() : "–";
+    const peer = entry.peer ? ` [peer ${shortId(entry.peer)}]` : "";
+    li.textContent = `${time}${peer} ${entry.text}`;
+    return li;
+  }));
+  if (report.dropped > 0) {
+    const li = document.createElement("li");
+    li.textContent = `(${report.dropped} later entries were not recorded)`;
+    sessionTimeline.appendChild(li);
+  }
+  sessionRawReport.textContent = JSON.stringify(report, null, 2);
+  sessionDetails.hidden = false;
+}
+
+adminTokenForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  loadSessions();
+});
+showAllSessions.addEventListener("change", () => {
+  if (adminTokenInput.value) {
+    loadSessions();
+  }
+});
+
+const savedToken = sessionStorage.getItem(ADMIN_TOKEN_STORAGE_KEY);
+if (savedToken) {
+  adminTokenInput.value = savedToken;
+  loadSessions();
+}
@@ -0,0 +1,645 @@
+// --- Chat over the per-peer Data Channels ---
+// Every message on the "chat" channel is a JSON envelope:
+//   { v: 1, type, id, sender, ts, ...fields }
+// where sender is the display name and ts is milliseconds since the epoch. Types and their fields:
+//   text         { text }
+//   ack          { messageId, state: "delivered" | "read" }
+//   typing       { state: "start" | "stop" }
+//   edit         { messageId, text }
+//   delete       { messageId }
+//   video-source { source: "screen" | "camera" }   (see Screen Sharing in client.js)
+//   history      { enabled }   (someone turned the room's saved history on or off)
+//   recording    { active }   (the sender started or stopped recording the call; see recording.js)
+// Envelopes that fail validation are logged and dropped. With a room passphrase, each envelope
+// is encrypted before it is sent (see e2e.js).
+import { shortPeerId } from "./lanchu.js";
+import { ROOM_ID } from "./room.js";
+import {
+  authHeaders,
+  localPeerId,
+  screenStream,
+  session,
+  setRemoteVideoSource,
+  videoSourceEnvelope,
+} from "./client.js";
+import { openChatData, roomKey, sealChatData } from "./e2e.js";
+import { isRecording, recordingEnvelope, setRemoteRecording } from "./recording.js";
+
+const CHAT_PROTOCOL_VERSION = 1;
+const CHAT_MESSAGE_TYPES = [
+  "text",
+  "ack",
+  "typing",
+  "edit",
+  "delete",
+  "video-source",
+  "history",
+  "recording",
+];
+const MAX_CHAT_TEXT_LENGTH = 2000;
+const MAX_CHAT_ID_LENGTH = 64;
+const MAX_DISPLAY_NAME_LENGTH = 40;
+const TYPING_IDLE_MS = 3000; // Send "stop" after this long without a keystroke
+const TYPING_EXPIRY_MS = 6000; // Forget a remote "start" whose "stop" never arrived
+const DISPLAY_NAME_STORAGE_KEY = "lanchu.displayName";
+const CHAT_HISTORY_LOAD_LIMIT = 50; // Saved messages shown when joining
+
+export const chatLog = document.getElementById("chatLog");
+const chatInput = document.getElementById("chatInput");
+const sendButton = document.getElementById("sendButton");
+const displayNameInput = document.getElementById("displayNameInput");
+const typingIndicator = document.getElementById("typingIndicator");
+const historyToggle = document.getElementById("historyToggle");
+const exportJsonLink = document.getElementById("exportJsonLink");
+const exportMarkdownLink = document.getElementById("exportMarkdownLink");
+
+// Message ID -> { id, senderPeerId, sender, ts, text, isLocal, edited, deleted, recipients, receipts, element }
+// recipients and receipts (peer ID -> "delivered" | "read") are only tracked for our own messages.
+const chatMessages = new Map();
+const typingPeers = new Map(); // Remote peer ID -> { name, timer }
+const unreadMessages = []; // [{ remotePeerId, messageId }] waiting for the tab to become visible
+let isTyping = false;
+let typingStopTimer = null;
+let historyEnabled = false; // Whether this room saves chat messages on the server
+let chatSendQueue = Promise.resolve(); // Encryption is async; this keeps messages in order
+let chatReceiveQueue = Promise.resolve();
+
+function getDisplayName() {
+  const name = displayNameInput.value.trim().substring(0, MAX_DISPLAY_NAME_LENGTH);
+  return name || (localPeerId ? `Peer ${shortPeerId(localPeerId)}` : "Anonymous");
+}
+
+export function createChatEnvelope(type, fields = {}) {
+  return {
+    v: CHAT_PROTOCOL_VERSION,
+    type,
+    id: crypto.randomUUID(),
+    sender: getDisplayName(),
+    ts: Date.now(),
+    ...fields,
+  };
+}
+
+function isValidChatString(value, maxLength) {
+  return typeof value === "string" && value.length > 0 && value.length <= maxLength;
+}
+
+// Returns the reason an envelope is invalid, or null if it is fine
+function validateChatEnvelope(envelope) {
+  if (!envelope || typeof envelope !== "object" || Array.isArray(envelope)) {
+    return "not an object";
+  }
+  if (envelope.v !== CHAT_PROTOCOL_VERSION) {
+    return `unsupported protocol version ${envelope.v}`;
+  }
+  if (!CHAT_MESSAGE_TYPES.includes(envelope.type)) {
+    return `unknown type '${envelope.type}'`;
+  }
+  if (!isValidChatString(envelope.id, MAX_CHAT_ID_LENGTH)) {
+    return "missing or invalid id";
+  }
+  if (!isValidChatString(envelope.sender, MAX_DISPLAY_NAME_LENGTH)) {
+    return "missing or invalid sender";
+  }
+  if (!Number.isFinite(envelope.ts)) {
+    return "missing or invalid ts";
+  }
+  switch (envelope.type) {
+    case "text":
+      return isValidChatString(envelope.text, MAX_CHAT_TEXT_LENGTH) ? null : "invalid text";
+    case "ack":
+      if (!isValidChatString(envelope.messageId, MAX_CHAT_ID_LENGTH)) {
+        return "invalid messageId";
+      }
+      return envelope.state === "delivered" || envelope.state === "read" ? null : "invalid ack state";
+    case "typing":
+      return envelope.state === "start" || envelope.state === "stop" ? null : "invalid typing state";
+    case "edit":
+      if (!isValidChatString(envelope.messageId, MAX_CHAT_ID_LENGTH)) {
+        return "invalid messageId";
+      }
+      return isValidChatString(envelope.text, MAX_CHAT_TEXT_LENGTH) ? null : "invalid text";
+    case "delete":
+      return isValidChatString(envelope.messageId, MAX_CHAT_ID_LENGTH) ? null : "invalid messageId";
+    case "video-source":
+      return envelope.source === "screen" || envelope.source === "camera" ? null : "invalid source";
+    case "history":
+      return typeof envelope.enabled === "boolean" ? null : "invalid enabled flag";
+    case "recording":
+      return typeof envelope.active === "boolean" ? null : "invalid active flag";
+  }
+  return null;
+}
+
+// The chat channel is the session's message channel; client.js passes on its events
+export function handleChatChannelOpen(remotePeerId) {
+  updateChatAvailability();
+  displayChatMessage("System", `Peer ${shortPeerId(remotePeerId)} connected to chat.`);
+  if (screenStream) {
+    sendChatEnvelope(remotePeerId, videoSourceEnvelope()); // A newcomer needs to know we're already sharing
+  }
+  if (isRecording()) {
+    sendChatEnvelope(remotePeerId, recordingEnvelope()); // ...and that they are being recorded
+  }
+}
+
+export function handleChatChannelClose(remotePeerId) {
+  updateChatAvailability();
+  clearRemoteTyping(remotePeerId);
+  displayChatMessage("System", `Peer ${shortPeerId(remotePeerId)} disconnected from chat.`);
+}
+
+export function handleChatChannelMessage(remotePeerId, data) {
+  const peerLabel = `Peer ${shortPeerId(remotePeerId)}`;
+  console.log(`Message received on data channel from ${peerLabel}: ${String(data).substring(0,50)}...`);
+  chatReceiveQueue = chatReceiveQueue
+    .then(() => receiveChatData(remotePeerId, data))
+    .catch((error) => console.error(`Error handling chat message from ${peerLabel}:`, error));
+}
+
+async function receiveChatData(remotePeerId, data) {
+  const peerLabel = `Peer ${shortPeerId(remotePeerId)}`;
+  let envelope;
+  try {
+    envelope = JSON.parse(data);
+    const envelopeText = await openChatData(remotePeerId, envelope, data);
+    if (envelopeText === null) {
+      return; // Encryption mismatch; already reported
+    }
+    if (envelopeText !== data) {
+      envelope = JSON.parse(envelopeText);
+    }
+  } catch (_e) {
+    console.warn(`Rejected non-JSON chat message from ${peerLabel}.`);
+    return;
+  }
+  const problem = validateChatEnvelope(envelope);
+  if (problem) {
+    console.warn(`Rejected chat message from ${peerLabel}: ${problem}.`, envelope);
+    return;
+  }
+  handleChatEnvelope(remotePeerId, envelope);
+}
+
+function handleChatEnvelope(remotePeerId, envelope) {
+  switch (envelope.type) {
+    case "text":
+      receiveTextMessage(remotePeerId, envelope);
+      break;
+    case "ack":
+      receiveAck(remotePeerId, envelope);
+      break;
+    case "typing":
+      if (envelope.state === "start") {
+        setRemoteTyping(remotePeerId, envelope.sender);
+      } else {
+        clearRemoteTyping(remotePeerId);
+      }
+      break;
+    case "edit":
+    case "delete":
+      receiveEditOrDelete(remotePeerId, envelope);
+      break;
+    case "video-source":
+      setRemoteVideoSource(remotePeerId, envelope.source);
+      break;
+    case "history":
+      setHistoryEnabled(envelope.enabled);
+      displayChatMessage(
+        "System",
+        `${envelope.sender} turned saved chat history ${envelope.enabled ? "on" : "off"}.`,
+      );
+      break;
+    case "recording":
+      setRemoteRecording(remotePeerId, envelope.active, envelope.sender);
+      break;
+  }
+}
+
+// Remote peer IDs whose chat channel is open
+function openChatPeers() {
+  return session ? session.openPeerIds() : [];
+}
+
+function sendChatEnvelope(remotePeerId, envelope) {
+  queueChatSend([remotePeerId], envelope);
+}
+
+export function broadcastChatEnvelope(envelope) {
+  queueChatSend(openChatPeers(), envelope);
+}
+
+// Recipients are fixed when the message is queued, not when it is sent
+function queueChatSend(remotePeerIds, envelope) {
+  chatSendQueue = chatSendQueue
+    .then(async () => {
+      const data = await sealChatData(JSON.stringify(envelope));
+      if (session) {
+        session.send(data, remotePeerIds); // Skips anyone whose channel has closed since
+      }
+    })
+    .catch((error) => console.error(`Error sending chat ${envelope.type}:`, error));
+}
+
+// Chat is usable while at least one participant's data channel is open
+export function updateChatAvailability() {
+  const chatAvailable = openChatPeers().length > 0;
+  chatInput.disabled = !chatAvailable;
+  sendButton.disabled = !chatAvailable;
+}
+
+// --- Sending ---
+function sendMessage() {
+  const messageText = chatInput.value.trim();
+  const recipients = openChatPeers();
+  if (!messageText || recipients.length === 0) {
+    console.warn(
+      "Cannot send message. No data channel open or message empty.",
+    );
+    return;
+  }
+  if (messageText.length > MAX_CHAT_TEXT_LENGTH) {
+    displayChatMessage("System", `Messages are limited to ${MAX_CHAT_TEXT_LENGTH} characters.`);
+    return;
+  }
+  const envelope = createChatEnvelope("text", { text: messageText });
+  broadcastChatEnvelope(envelope);
+  saveToChatHistory(envelope);
+  addChatMessage({
+    id: envelope.id,
+    senderPeerId: localPeerId,
+    sender: envelope.sender,
+    ts: envelope.ts,
+    text: messageText,
+    isLocal: true,
+    recipients: new Set(recipients),
+    receipts: new Map(),
+  });
+  chatInput.value = "";
+  // The text message itself clears our typing indicator on the other side
+  clearTimeout(typingStopTimer);
+  isTyping = false;
+}
+
+function editChatMessage(messageId) {
+  const message = chatMessages.get(messageId);
+  if (!message || message.deleted) {
+    return;
+  }
+  const newText = prompt("Edit message", message.text);
+  if (newText === null || !newText.trim() || newText.trim() === message.text) {
+    return;
+  }
+  if (newText.trim().length > MAX_CHAT_TEXT_LENGTH) {
+    displayChatMessage("System", `Messages are limited to ${MAX_CHAT_TEXT_LENGTH} characters.`);
+    return;
+  }
+  message.text = newText.trim();
+  message.edited = true;
+  const envelope = createChatEnvelope("edit", { messageId, text: message.text });
+  broadcastChatEnvelope(envelope);
+  saveToChatHistory(envelope);
+  renderChatMessage(message);
+}
+
+function deleteChatMessage(messageId) {
+  const message = chatMessages.get(messageId);
+  if (!message || message.deleted) {
+    return;
+  }
+  message.deleted = true;
+  message.text = "";
+  const envelope = createChatEnvelope("delete", { messageId });
+  broadcastChatEnvelope(envelope);
+  saveToChatHistory(envelope);
+  renderChatMessage(message);
+}
+
+// --- Receiving ---
+function receiveTextMessage(remotePeerId, envelope) {
+  if (chatMessages.has(envelope.id)) {
+    return; // Duplicate
+  }
+  clearRemoteTyping(remotePeerId);
+  addChatMessage({
+    id: envelope.id,
+    senderPeerId: remotePeerId,
+    sender: envelope.sender,
+    ts: envelope.ts,
+    text: envelope.text,
+    isLocal: false,
+  });
+  sendChatEnvelope(remotePeerId, createChatEnvelope("ack", { messageId: envelope.id, state: "delivered" }));
+  if (document.visibilityState === "visible") {
+    sendChatEnvelope(remotePeerId, createChatEnvelope("ack", { messageId: envelope.id, state: "read" }));
+  } else {
+    unreadMessages.push({ remotePeerId, messageId: envelope.id });
+  }
+}
+
+function receiveAck(remotePeerId, envelope) {
+  const message = chatMessages.get(envelope.messageId);
+  if (!message || !message.isLocal || !message.recipients.has(remotePeerId)) {
+    return;
+  }
+  if (message.receipts.get(remotePeerId) === "read") {
+    return; // Never downgrade "read" to "delivered"
+  }
+  message.receipts.set(remotePeerId, envelope.state);
+  renderChatMessage(message);
+}
+
+// Only the original sender may edit or delete a message
+function receiveEditOrDelete(remotePeerId, envelope) {
+  const message = chatMessages.get(envelope.messageId);
+  if (!message || message.deleted) {
+    return;
+  }
+  if (message.senderPeerId !== remotePeerId) {
+    console.warn(`Rejected ${envelope.type} of message ${envelope.messageId} from Peer ${shortPeerId(remotePeerId)}: not the sender.`);
+    return;
+  }
+  if (envelope.type === "edit") {
+    message.text = envelope.text;
+    message.edited = true;
+  } else {
+    message.deleted = true;
+    message.text = "";
+  }
+  renderChatMessage(message);
+}
+
+function sendPendingReadAcks() {
+  if (document.visibilityState !== "visible") {
+    return;
+  }
+  for (const { remotePeerId, messageId } of unreadMessages.splice(0)) {
+    sendChatEnvelope(remotePeerId, createChatEnvelope("ack", { messageId, state: "read" }));
+  }
+}
+
+// --- Saved History (server-side, opt-in per room) ---
+function chatHistoryUrl(resource) {
+  return `/api/rooms/${encodeURIComponent(ROOM_ID)}/${resource}`;
+}
+
+function setHistoryEnabled(enabled) {
+  historyEnabled = enabled;
+  historyToggle.checked = enabled;
+}
+
+// Called before joining, so the log only shows this session and its saved history
+export function clearChatLog() {
+  chatMessages.clear();
+  chatLog.replaceChildren();
+}
+
+// Called on join, before connecting to anyone
+export async function loadChatHistory() {
+  try {
+    const response = await fetch(`${chatHistoryUrl("messages")}?peer=${encodeURIComponent(localPeerId)}&limit=${CHAT_HISTORY_LOAD_LIMIT}`, {
+      headers: authHeaders(),
+    });
+    if (!response.ok) {
+      console.error("Failed to load chat history:", response.status, await response.text());
+      return;
+    }
+    const { enabled, retentionHours, messages } = await response.json();
+    setHistoryEnabled(enabled);
+    // The server could read saved messages, so they'd undo the passphrase's protection
+    historyToggle.disabled = roomKey !== null;
+    if (!enabled) {
+      return;
+    }
+    console.log(`Loaded ${messages.length} saved chat messages.`);
+    for (const record of messages) {
+      addChatMessage({
+        id: record.id,
+        senderPeerId: record.peerId,
+        sender: record.sender,
+        ts: record.ts,
+        text: record.text,
+        isLocal: false,
+        isHistory: true,
+        edited: record.edited,
+        deleted: record.deleted,
+      });
+    }
+    displayChatMessage("System", `Chat history is saved for this room (kept for ${retentionHours} hours).`);
+  } catch (error) {
+    console.error("Error loading chat history:", error);
+  }
+}
+
+async function saveToChatHistory(envelope) {
+  if (!historyEnabled || !localPeerId || roomKey) {
+    return;
+  }
+  try {
+    const response = await fetch(`${chatHistoryUrl("messages")}?peer=${encodeURIComponent(localPeerId)}`, {
+      method: "POST",
+      headers: authHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(envelope),
+    });
+    if (!response.ok) {
+      console.error(`Failed to save chat ${envelope.type} to history:`, response.status, await response.text());
+    }
+  } catch (error) {
+    console.error("Error saving chat message to history:", error);
+  }
+}
+
+async function toggleChatHistory() {
+  const enabled = historyToggle.checked;
+  if (!localPeerId) {
+    historyToggle.checked = historyEnabled;
+    displayChatMessage("System", "Start the session to change whether chat history is saved.");
+    return;
+  }
+  if (!enabled && !confirm("Stop saving chat history? Saved messages for this room will be deleted.")) {
+    historyToggle.checked = true;
+    return;
+  }
+  try {
+    const response = await fetch(`${chatHistoryUrl("history")}?peer=${encodeURIComponent(localPeerId)}`, {
+      method: "PUT",
+      headers: authHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ enabled }),
+    });
+    if (!response.ok) {
+      throw new Error(`${response.status} ${await response.text()}`);
+    }
+    setHistoryEnabled(enabled);
+    broadcastChatEnvelope(createChatEnvelope("history", { enabled }));
+    displayChatMessage("System", `Saved chat history turned ${enabled ? "on" : "off"}.`);
+  } catch (error) {
+    console.error("Error changing the chat history setting:", error);
+    historyToggle.checked = historyEnabled;
+  }
+}
+
+// --- Typing Indicators ---
+function handleChatInputTyping() {
+  if (!chatInput.value) {
+    stopTyping();
+    return;
+  }
+  if (!isTyping) {
+    isTyping = true;
+    broadcastChatEnvelope(createChatEnvelope("typing", { state: "start" }));
+  }
+  clearTimeout(typingStopTimer);
+  typingStopTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+}
+
+function stopTyping() {
+  clearTimeout(typingStopTimer);
+  if (!isTyping) {
+    return;
+  }
+  isTyping = false;
+  broadcastChatEnvelope(createChatEnvelope("typing", { state: "stop" }));
+}
+
+function setRemoteTyping(remotePeerId, name) {
+  const existing = typingPeers.get(remotePeerId);
+  if (existing) {
+    clearTimeout(existing.timer);
+  }
+  typingPeers.set(remotePeerId, {
+    name,
+    timer: setTimeout(() => clearRemoteTyping(remotePeerId), TYPING_EXPIRY_MS),
+  });
+  updateTypingIndicator();
+}
+
+function clearRemoteTyping(remotePeerId) {
+  const entry = typingPeers.get(remotePeerId);
+  if (!entry) {
+    return;
+  }
+  clearTimeout(entry.timer);
+  typingPeers.delete(remotePeerId);
+  updateTypingIndicator();
+}
+
+function updateTypingIndicator() {
+  const names = [...typingPeers.values()].map((entry) => entry.name);
+  if (names.length === 0) {
+    typingIndicator.textContent = "";
+  } else if (names.length === 1) {
+    typingIndicator.textContent = `${names[0]} is typing…`;
+  } else {
+    typingIndicator.textContent = `${names.slice(0, -1).join(", ")} and ${names.at(-1)} are typing…`;
+  }
+}
+
+// --- Rendering ---
+// Appended to the end of the log
+function addChatMessage(message) {
+  message.edited = Boolean(message.edited);
+  message.deleted = Boolean(message.deleted);
+  message.element = document.createElement("p");
+  message.element.className = "chat-message";
+  chatMessages.set(message.id, message);
+  chatLog.appendChild(message.element);
+  renderChatMessage(message);
+  chatLog.scrollTop = chatLog.scrollHeight;
+}
+
+function renderChatMessage(message) {
+  const element = message.element;
+  element.replaceChildren();
+  element.classList.toggle("local", message.isLocal);
+  element.classList.toggle("history", Boolean(message.isHistory));
+  element.classList.toggle("deleted", message.deleted);
+
+  const time = new Date(message.ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  const meta = document.createElement("span");
+  meta.className = "chat-meta";
+  meta.textContent = `[${time}] ${message.isLocal ? "You" : message.sender}: `;
+  const text = document.createElement("span");
+  text.className = "chat-text";
+  text.textContent = message.deleted ? "(message deleted)" : message.text;
+  element.append(meta, text);
+
+  if (message.edited && !message.deleted) {
+    const edited = document.createElement("span");
+    edited.className = "chat-marker";
+    edited.textContent = " (edited)";
+    element.appendChild(edited);
+  }
+  if (message.isLocal) {
+    const receipt = document.createElement("span");
+    receipt.className = "chat-receipt";
+    receipt.textContent = ` ${describeReceipts(message)}`;
+    element.appendChild(receipt);
+    if (!message.deleted) {
+      element.append(
+        createChatActionButton("Edit", () => editChatMessage(message.id)),
+        createChatActionButton("Delete", () => deleteChatMessage(message.id)),
+      );
+    }
+  }
+}
+
+function describeReceipts(message) {
+  const total = message.recipients.size;
+  const states = [...message.receipts.values()];
+  const read = states.filter((state) => state === "read").length;
+  if (total > 0 && read === total) {
+    return total === 1 ? "✓✓ Read" : "✓✓ Read by all";
+  }
+  if (states.length === 0) {
+    return "✓ Sent";
+  }
+  const delivered = `✓ Delivered to ${states.length} of ${total}`;
+  return read > 0 ? `${delivered}, read by ${read}` : delivered;
+}
+
+function createChatActionButton(label, onClick) {
+  const button = document.createElement("button");
+  button.className = "chat-action";
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+// System notices (connections, file transfers, errors); not part of the message model
+export function displayChatMessage(sender, message) {
+  const p = document.createElement("p");
+  p.className = "chat-notice";
+  p.textContent = `[${sender}]: ${message}`;
+  chatLog.appendChild(p);
+  chatLog.scrollTop = chatLog.scrollHeight;
+}
+
+// --- Chat Event Listeners ---
+sendButton.addEventListener("click", sendMessage);
+chatInput.addEventListener("keypress", (event) => {
+  if (event.key === "Enter" && !sendButton.disabled) {
+    sendMessage();
+  }
+});
+chatInput.addEventListener("input", handleChatInputTyping);
+document.addEventListener("visibilitychange", sendPendingReadAcks);
+historyToggle.addEventListener("change", toggleChatHistory);
+// A download link can't send headers, so the current token is put in the URL when clicked
+for (const [link, format] of [[exportJsonLink, "json"], [exportMarkdownLink, "markdown"]]) {
+  link.href = `${chatHistoryUrl("messages/export")}?format=${format}`;
+  link.addEventListener("click", (event) => {
+    if (!session || !session.token) {
+      event.preventDefault();
+      displayChatMessage("System", "Start the session to export the chat transcript.");
+      return;
+    }
+    link.href = `${chatHistoryUrl("messages/export")}?format=${format}&peer=${encodeURIComponent(localPeerId)}` +
+      `&token=${encodeURIComponent(session.token)}`;
+  });
+}
+chatInput.disabled = true; // Until a chat channel opens
+sendButton.disabled = true;
+displayNameInput.value = localStorage.getItem(DISPLAY_NAME_STORAGE_KEY) || "";
+displayNameInput.addEventListener("change", () => {
+  localStorage.setItem(DISPLAY_NAME_STORAGE_KEY, displayNameInput.value.trim());
+});
@@ -1,495 +1,401 @@
+// --- Call page UI ---
+// The signaling and peer connections live in a LanchuSession (see lanchu.js); this module wires
+// its events to the page: one video box per participant and the buttons. The call state below
+// is exported for the chat, file, stats, diagnostics and recording modules.
+import { LanchuSession, shortPeerId } from "./lanchu.js";
+import { BROADCAST_ROLE, ROOM_ID } from "./room.js";
+import {
+  broadcastChatEnvelope,
+  clearChatLog,
+  createChatEnvelope,
+  displayChatMessage,
+  handleChatChannelClose,
+  handleChatChannelMessage,
+  handleChatChannelOpen,
+  loadChatHistory,
+  updateChatAvailability,
+} from "./chat.js";
+import {
+  openSignalPayload,
+  passphraseInput,
+  prepareRoomKey,
+  roomKeyCheck,
+  sealSignalPayload,
+} from "./e2e.js";
+import {
+  cancelFileTransfers,
+  createFileChannel,
+  FILE_CHANNEL_LABEL,
+  reopenFileChannel,
+  setupFileChannel,
+  updateFileInputAvailability,
+} from "./file_transfer.js";
+import { acquireLocalStream, applySpeakerSelection, resetMediaControls } from "./media.js";
+import { stopRecording, updateRecordButtonAvailability } from "./recording.js";
+import {
+  finishDiagnosticsReport,
+  recordDiagnosticCandidate,
+  recordDiagnosticError,
+  recordDiagnosticEvent,
+  sendDiagnosticsReport,
+  startDiagnosticsReport,
+} from "./diagnostics.js";
+
 // DOM Elements
-const localVideo = document.getElementById("localVideo");
-const remoteVideo = document.getElementById("remoteVideo");
+export const localVideo = document.getElementById("localVideo");
+export const videoGrid = document.getElementById("videoGrid");
 const startButton = document.getElementById("startButton");
 const hangupButton = document.getElementById("hangupButton");
-const chatLog = document.getElementById("chatLog");
-const chatInput = document.getElementById("chatInput");
-const sendButton = document.getElementById("sendButton");
-
-let localStream;
-let remoteStream;
-let peerConnection;
-let dataChannel;
-let isInitiator = false;
-
-const ROOM_ID = "default-room"; // Simple room ID for Deno KV signaling
-
-// Global ICE configuration, starts with a fallback
-let iceConfiguration = {
-  iceServers: [{ urls: "stun:stun.l.google.com:19302" }],
-};
-
-// --- Fetch ICE Servers ---
-async function fetchIceServers() {
-  console.log("Fetching ICE servers from /api/ice-servers...");
-  try {
-    const response = await fetch("/api/ice-servers");
-    if (!response.ok) {
-      console.error(
-        "Failed to fetch ICE servers from API:",
-        response.status,
-        await response.text(),
-      );
-      console.log("Using default fallback ICE configuration.");
-      return;
-    }
-    const servers = await response.json();
-    if (servers && servers.length > 0) {
-      iceConfiguration.iceServers = servers;
-      console.log(
-        "Successfully fetched and updated ICE configuration:",
-        iceConfiguration.iceServers.map(s => s.urls).join(', ')
-      );
-    } else {
-      console.warn(
-        "Fetched ICE servers list from API is empty, using default fallback.",
-      );
-    }
-  } catch (error) {
-    console.error("Error fetching ICE servers from API:", error);
-    console.log("Using default fallback ICE configuration due to error.");
-  }
+const screenShareButton = document.getElementById("screenShareButton");
+const roomNameLabel = document.getElementById("roomName");
+const participantCountLabel = document.getElementById("participantCount");
+const viewerPanel = document.getElementById("viewerPanel");
+const viewerCountLabel = document.getElementById("viewerCount");
+const viewerLink = document.getElementById("viewerLink");
+const viewerList = document.getElementById("viewerList");
+
+// Only this module assigns these; the others read them
+export let session = null; // LanchuSession, from "Start Session" until hang-up
+export let localStream;
+export let screenStream = null; // Set while we are sharing our screen
+export let localPeerId = null; // Issued by the server when we join the room
+
+// UI state for each remote participant: remote peer ID ->
+// { peerConnection, isCaller, remoteStream, videoBox, fileChannel, outgoingTransfers, ... }
+// On a presenter's page the videoBox is the viewer's entry in the viewer list.
+export const peers = new Map();
+
+function viewerUrl() {
+  return `${location.origin}/r/${encodeURIComponent(ROOM_ID)}?broadcast=viewer`;
 }
 
 // --- Initialization and Event Listeners ---
 startButton.addEventListener("click", startSession);
 hangupButton.addEventListener("click", hangUp);
-sendButton.addEventListener("click", sendMessage);
-chatInput.addEventListener("keypress", (event) => {
-  if (event.key === "Enter" && !sendButton.disabled) {
-    sendMessage();
+screenShareButton.addEventListener("click", () => {
+  if (screenStream) {
+    stopScreenShare();
+  } else {
+    startScreenShare();
   }
 });
 
+export function isSessionActive() {
+  return session !== null && session.state === "active";
+}
+
+export function authHeaders(headers = {}) {
+  return session ? session.authHeaders(headers) : headers;
+}
+
 async function startSession() {
   console.log("Attempting to start session...");
   startButton.disabled = true;
   hangupButton.disabled = false;
+  startDiagnosticsReport();
 
   try {
-    await fetchIceServers();
-
-    console.log("Requesting local stream...");
-    localStream = await navigator.mediaDevices.getUserMedia({
-      audio: true,
-      video: true,
+    session = new LanchuSession({
+      room: ROOM_ID,
+      broadcast: BROADCAST_ROLE,
+      sealSignal: sealSignalPayload, // See e2e.js
+      openSignal: openSignalPayload,
     });
-    localVideo.srcObject = localStream;
-    console.log("Received local stream.");
+    listenToSession(session);
 
-    // ---- Determine role FIRST ----
-    const offerSignal = await getSignalMessage("offer");
-    if (!offerSignal || !offerSignal.payload) {
-      isInitiator = true;
-      console.log("This client will be the initiator.");
+    if (BROADCAST_ROLE === "viewer") {
+      localStream = new MediaStream(); // Viewers only watch, so they are never asked for a camera
     } else {
-      isInitiator = false;
-      console.log("This client will be the receiver.");
+      console.log("Requesting local stream...");
+      localStream = await acquireLocalStream(); // Falls back to audio only or receive-only (see media.js)
+      localVideo.srcObject = localStream;
+      console.log("Received local stream.");
     }
-    // ---- Role determined ----
 
-    await createPeerConnection(); // Now isInitiator is correctly set before this runs
+    passphraseInput.disabled = true;
+    await prepareRoomKey();
+    clearChatLog();
 
-    // ---- Offer/Answer logic based on the now-set isInitiator flag ----
-    if (isInitiator) {
-      if (peerConnection) { // Ensure peerConnection is created
-        console.log("Initiator: Creating offer...");
-        const offerSdp = await peerConnection.createOffer();
-        await peerConnection.setLocalDescription(offerSdp);
-        console.log("Initiator's Local SDP Offer (first 500 chars):", peerConnection.localDescription.sdp.substring(0, 500));
-        await sendSignalMessage("offer", offerSdp);
-        console.log("Sent offer to signaling server.");
-      }
-    } else { // This client is the receiver
-      if (peerConnection && offerSignal && offerSignal.payload) { // Ensure peerConnection and offerSignal are valid
-        console.log("Receiver: Processing existing offer from signaling server:", offerSignal.payload.type);
-        await peerConnection.setRemoteDescription(
-          new RTCSessionDescription(offerSignal.payload)
-        );
-        console.log("Receiver's Remote SDP Offer (first 500 chars):", peerConnection.remoteDescription.sdp.substring(0, 500));
-        console.log("Set remote description from offer. Creating answer...");
-        const answerSdp = await peerConnection.createAnswer();
-        await peerConnection.setLocalDescription(answerSdp);
-        await sendSignalMessage("answer", answerSdp);
-        console.log("Sent answer to signaling server.");
-        await clearSignalMessage("offer");
-      } else {
-        console.error("Receiver: PeerConnection or Offer signal is missing/invalid. Cannot proceed.");
-        hangUp();
-        return;
-      }
-    }
-
-    pollForSignalMessages();
+    // Throws with the server's reason, e.g. the room is full or the passphrase is wrong
+    // Saved chat history is shown before anyone connects, so live messages come after it
+    await session.start(localStream, { keyCheck: roomKeyCheck, onJoined: loadChatHistory });
+    // Sharing swaps the screen into our video sender, so it needs a camera track to replace
+    screenShareButton.disabled = localStream.getVideoTracks().length === 0;
+    updateRecordButtonAvailability();
   } catch (e) {
     console.error("Error starting WebRTC session:", e);
+    recordDiagnosticError(`Could not start session: ${e.message}`);
     alert("Could not start session: " + e.message);
-    hangUp(); 
+    hangUp();
   }
 }
 
-function createPeerConnection() {
-  peerConnection = new RTCPeerConnection(iceConfiguration);
-  console.log("Created RTCPeerConnection with configuration:", JSON.stringify(iceConfiguration));
-
-  peerConnection.onicecandidate = (event) => {
-    if (event.candidate && event.candidate.candidate) {
-      console.log("Local ICE candidate gathered:", event.candidate.candidate.substring(0, 70) + "...");
-      const candidateKey = isInitiator
-        ? "candidate_initiator" // Server stores this as "candidates_for_receiver"
-        : "candidate_receiver";  // Server stores this as "candidates_for_initiator"
-      sendSignalMessage(candidateKey, event.candidate);
-    } else if (!event.candidate) {
-      console.log("All local ICE candidates gathered (end-of-candidates signal).");
-    } else {
-      console.log("Local ICE candidate gathered, but candidate string is empty. Not sending.", event.candidate);
+// --- Session Events ---
+function listenToSession(activeSession) {
+  activeSession.addEventListener("statechange", (event) => {
+    if (event.detail.state === "active") {
+      // Before any offer is sent, so e2e.js knows who we are
+      localPeerId = activeSession.peerId;
     }
-  };
-
-  peerConnection.ontrack = (event) => {
-    console.log("Remote track received:", event.track.kind);
-    if (remoteVideo.srcObject !== event.streams[0]) {
-      remoteVideo.srcObject = event.streams[0];
-      remoteStream = event.streams[0];
+    updateParticipantCount();
+  });
+  activeSession.addEventListener("peerconnection", (event) => {
+    const { peerId: remotePeerId, peerConnection, isCaller } = event.detail;
+    const peer = {
+      peerConnection, // For getStats() (see stats.js) and the file channel
+      isCaller, // We created the connection, and so also create the file channel
+      remoteStream: null,
+      videoBox: BROADCAST_ROLE === "presenter"
+        ? createViewerListItem(remotePeerId)
+        : createRemoteVideoBox(remotePeerId),
+      fileChannel: null, // Binary channel for file transfers (see file_transfer.js)
+      outgoingTransfers: [], // Files queued for this peer; the first one is in progress
+      incomingTransfers: new Map(), // Partially received files by transfer ID, kept for resuming
+      currentIncomingTransfer: null,
+    };
+    peers.set(remotePeerId, peer);
+    if (isCaller) {
+      createFileChannel(peer, remotePeerId);
+    }
+    updateParticipantCount();
+  });
+  activeSession.addEventListener("remotestream", (event) => {
+    const peer = peers.get(event.detail.peerId);
+    if (peer) {
+      peer.remoteStream = event.detail.stream;
+      peer.videoBox.querySelector("video").srcObject = event.detail.stream;
       console.log("Remote stream added to video element.");
     }
-  };
-
-  peerConnection.oniceconnectionstatechange = () => {
-    if (peerConnection) {
-      console.log(
-        "ICE connection state changed to:",
-        peerConnection.iceConnectionState,
-      );
-      if (peerConnection.iceConnectionState === "failed") {
-          console.error("ICE connection failed. Check STUN/TURN server and network.");
-      }
-      if (peerConnection.iceConnectionState === "connected") {
-          console.log("ICE connection established successfully!");
-      }
-      if (
-        peerConnection.iceConnectionState === "disconnected" ||
-        peerConnection.iceConnectionState === "closed"
-      ) {
-        console.log("ICE connection disconnected or closed.");
-      }
+  });
+  activeSession.addEventListener("connectionstatechange", (event) => {
+    const { peerId: remotePeerId, state } = event.detail;
+    const peer = peers.get(remotePeerId);
+    if (!peer) {
+      return;
     }
-  };
-  
-  peerConnection.onsignalingstatechange = () => {
-    if (peerConnection) {
-      console.log("Signaling state changed to:", peerConnection.signalingState);
+    setReconnectingIndicator(peer, state === "reconnecting");
+    if (state === "connected") {
+      reopenFileChannel(remotePeerId);
     }
-  };
-
-  if (localStream) {
-    localStream.getTracks().forEach((track) => {
-      console.log("Adding local track to PeerConnection:", track.kind);
-      peerConnection.addTrack(track, localStream);
-    });
-    console.log("Finished adding local stream tracks to PeerConnection.");
-  }
-
-  if (isInitiator) {
-    console.log("Initiator creating data channel 'chat'.");
-    // Explicitly create data channel before offer.
-    // Options: { negotiated: false } is default for this setup (in-band).
-    // { ordered: true, reliable: true } are also defaults for "chat"-like channels.
-    dataChannel = peerConnection.createDataChannel("chat", { negotiated: false }); 
-    console.log(`Initiator created dataChannel, initial readyState: ${dataChannel.readyState}`); 
-    setupDataChannelEvents(dataChannel);
-  } else {
-    // Receiver sets up listener for when data channel is announced by initiator's offer
-    peerConnection.ondatachannel = (event) => {
-      console.log("Receiver received 'ondatachannel' event."); 
-      dataChannel = event.channel;
-      console.log(`Receiver received dataChannel '${dataChannel.label}', initial readyState: ${dataChannel.readyState}`); 
-      setupDataChannelEvents(dataChannel);
-    };
-  }
-}
-
-function setupDataChannelEvents(channel) {
-  console.log(`Setting up data channel event listeners for channel '${channel.label}', current readyState: ${channel.readyState}`); 
-  channel.onopen = () => {
-    console.log(`Data channel '${channel.label}' is open.`);
-    chatInput.disabled = false;
-    sendButton.disabled = false;
-    displayChatMessage("System", "Chat connected!");
-  };
-  channel.onclose = () => {
-    console.log(`Data channel '${channel.label}' is closed.`);
-    chatInput.disabled = true;
-    sendButton.disabled = true;
-    displayChatMessage("System", "Chat disconnected.");
-  };
-  channel.onmessage = (event) => {
-    console.log(`Message received on data channel: ${event.data.substring(0,50)}...`);
-    try {
-      const messageData = JSON.parse(event.data); 
-      // Always display received messages as "Remote"
-      displayChatMessage("Remote", messageData.message); 
-    } catch (_e) {
-      // Fallback for non-JSON messages, also label as Remote
-      displayChatMessage("Remote (raw)", event.data); 
+  });
+  activeSession.addEventListener("peerleft", (event) => {
+    const { peerId: remotePeerId, reason } = event.detail;
+    removePeer(remotePeerId);
+    if (reason === "failed") {
+      displayChatMessage("System", `Lost connection to Peer ${shortPeerId(remotePeerId)}.`);
+      sendDiagnosticsReport(); // Report the failure now, in case the tab is closed without hanging up
     }
-  };
-  channel.onerror = (error) => {
-    console.error(`Data channel '${channel.label}' ERROR:`, error); 
-  };
-  // ADD THIS to see if it's already open when events are attached (less likely but possible)
-  if (channel.readyState === "open") {
-    console.warn(`Data channel '${channel.label}' was already open when event listeners were attached.`);
-    // Manually trigger open state logic if so (though onopen should still fire)
-    chatInput.disabled = false;
-    sendButton.disabled = false;
-    displayChatMessage("System", "Chat connected (already open)!");
-  }
+  });
+  activeSession.addEventListener("datachannel", (event) => {
+    const { peerId: remotePeerId, channel } = event.detail;
+    if (channel.label === FILE_CHANNEL_LABEL) {
+      setupFileChannel(channel, remotePeerId);
+    } else {
+      console.warn(`Closing unexpected data channel '${channel.label}' from peer ${shortPeerId(remotePeerId)}.`);
+      channel.close();
+    }
+  });
+  activeSession.addEventListener("channelopen", (event) => handleChatChannelOpen(event.detail.peerId));
+  activeSession.addEventListener("channelclose", (event) => handleChatChannelClose(event.detail.peerId));
+  activeSession.addEventListener("message", (event) => {
+    handleChatChannelMessage(event.detail.peerId, event.detail.data);
+  });
+  activeSession.addEventListener("icecandidate", (event) => {
+    recordDiagnosticCandidate(event.detail.peerId, event.detail.side, event.detail.candidate);
+  });
+  activeSession.addEventListener("diagnostic", (event) => {
+    recordDiagnosticEvent(event.detail.peerId, event.detail.kind, event.detail.state);
+  });
+  activeSession.addEventListener("error", (event) => {
+    recordDiagnosticError(event.detail.message, event.detail.peerId);
+  });
 }
 
-function sendMessage() {
-  const messageText = chatInput.value;
-  if (messageText && dataChannel && dataChannel.readyState === "open") {
-    const messagePayload = {
-      // sender: "Local", // Not strictly needed in the payload, receiver assumes it's remote
-      message: messageText,
-    };
-    dataChannel.send(JSON.stringify(messagePayload));
-    displayChatMessage("Local", messageText);
-    chatInput.value = "";
-  } else {
-    console.warn(
-      "Cannot send message. Data channel not open or message empty.",
-    );
+// The session has already closed the connection
+function removePeer(remotePeerId) {
+  const peer = peers.get(remotePeerId);
+  if (!peer) {
+    return;
   }
+  peers.delete(remotePeerId);
+  cancelFileTransfers(peer);
+  peer.videoBox.remove();
+  updateParticipantCount();
+  updateChatAvailability();
+  updateFileInputAvailability();
 }
 
-function displayChatMessage(sender, message) {
-  const p = document.createElement("p");
-  p.textContent = `[${sender}]: ${message}`;
-  chatLog.appendChild(p);
-  chatLog.scrollTop = chatLog.scrollHeight; 
+function setReconnectingIndicator(peer, isReconnecting) {
+  peer.videoBox.classList.toggle("reconnecting", isReconnecting);
 }
 
-async function hangUp() {
-  console.log("Hanging up session...");
-  if (peerConnection) {
-    peerConnection.close();
-    peerConnection = null;
-  }
-  if (localStream) {
-    localStream.getTracks().forEach((track) => track.stop());
-  }
-  localStream = null;
-
-  if (remoteStream) {
-    remoteStream.getTracks().forEach((track) => track.stop()); 
+// --- Screen Sharing ---
+// The screen replaces the camera on each peer's existing video sender (session.replaceTrack()),
+// so no renegotiation is needed. Peers are told over the data channel which source they are
+// receiving.
+function currentOutgoingVideoTrack() {
+  if (screenStream) {
+    return screenStream.getVideoTracks()[0];
   }
-  remoteStream = null;
+  return localStream ? localStream.getVideoTracks()[0] : null;
+}
 
-  if (dataChannel) {
-    dataChannel.close();
-    dataChannel = null;
+async function replaceOutgoingVideoTrack(track) {
+  if (session) {
+    await session.replaceTrack("video", track);
   }
-
-  localVideo.srcObject = null;
-  remoteVideo.srcObject = null;
-
-  startButton.disabled = false;
-  hangupButton.disabled = true;
-  chatInput.disabled = true;
-  sendButton.disabled = true;
-  
-  console.log("Attempting to clear offer/answer signals from server for this room...");
-  await clearSignalMessage("offer"); // For offer
-  await clearSignalMessage("answer"); // For answer
-  // Note: Candidate clearing in hangUp is now less effective as specific keys are needed.
-  // Individual candidates are cleared during polling. Aggressive cleanup here would require
-  // fetching all candidate keys for the room and deleting them, or a specific server endpoint.
-  console.log("Session terminated.");
-  isInitiator = false; 
 }
 
-
-async function sendSignalMessage(type, payload) {
+async function startScreenShare() {
   try {
-    console.log(`Sending signal type: ${type} to /signal`);
-    const response = await fetch(`/signal?room=${ROOM_ID}`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ type: type, payload: payload }), 
-    });
-    if (!response.ok) {
-      console.error(
-        `Failed to send signal message ${type}:`,
-        response.status,
-        await response.text(),
-      );
-    }
+    screenStream = await navigator.mediaDevices.getDisplayMedia({ video: true });
   } catch (error) {
-    console.error(`Error sending signal message ${type}:`, error);
+    console.warn("Screen sharing was cancelled or failed:", error);
+    return;
   }
+  const screenTrack = screenStream.getVideoTracks()[0];
+  screenTrack.onended = () => stopScreenShare(); // The browser's own "Stop sharing" control
+  console.log("Started screen sharing.");
+  await replaceOutgoingVideoTrack(screenTrack);
+  localVideo.srcObject = screenStream;
+  screenShareButton.textContent = "Stop Sharing";
+  broadcastVideoSource();
 }
 
-async function getSignalMessage(type, suppressLog = false) { // Added suppressLog for quieter polling when connected
-  try {
-    const response = await fetch(`/signal?room=${ROOM_ID}&type=${type}`);
-    if (response.ok) {
-      const data = await response.json(); 
-      // For candidates, data will be an array. For offer/answer, an object or null.
-      if (type.startsWith("candidate_")) {
-        if (!suppressLog || (Array.isArray(data) && data.length > 0)) { // Log if not suppressed OR if data exists
-          console.log(`Received ${data ? data.length : 0} ${type} signals from /signal.`);
-        }
-      } else {
-        console.log(`Received signal for ${type} from /signal:`, data ? data.type : 'null');
-      }
-      return data; 
-    }
-    if (response.status === 404) {
-      // For candidates, an empty array is returned by server for "not found" (HTTP 200 with empty array),
-      // so 404 is usually for offer/answer not found.
-      if (!suppressLog) {
-          console.log(`No signal message of type ${type} found on server (404).`);
-      }
-      return type.startsWith("candidate_") ? [] : null; 
-    }
-    console.error(
-      `Failed to get signal message ${type} from server:`,
-      response.status,
-      await response.text(),
-    );
-    return type.startsWith("candidate_") ? [] : null; // Fallback to empty array for candidates on error
-  } catch (error) {
-    console.error(`Error fetching signal message ${type} from server:`, error);
-    return type.startsWith("candidate_") ? [] : null; // Fallback to empty array for candidates on error
+async function stopScreenShare() {
+  if (!screenStream) {
+    return;
   }
+  const stream = screenStream;
+  screenStream = null;
+  stream.getTracks().forEach((track) => track.stop());
+  console.log("Stopped screen sharing. Switching back to the camera.");
+  await replaceOutgoingVideoTrack(currentOutgoingVideoTrack());
+  localVideo.srcObject = localStream;
+  screenShareButton.textContent = "Share Screen";
+  broadcastVideoSource();
 }
 
-async function pollForSignalMessages() {
-  if (
-    !peerConnection ||
-    peerConnection.signalingState === "closed" ||
-    hangupButton.disabled
-  ) {
-    return; 
-  }
+export function videoSourceEnvelope() {
+  return createChatEnvelope("video-source", {
+    source: screenStream ? "screen" : "camera",
+  });
+}
 
-  const isConnected = peerConnection.iceConnectionState === "connected" || 
-                      peerConnection.iceConnectionState === "completed";
+function broadcastVideoSource() {
+  broadcastChatEnvelope(videoSourceEnvelope());
+}
 
-  try {
-    if (isInitiator) { // Initiator polls for answers and receiver's candidates
-      // Initiator always polls for an answer if it hasn't set remote description
-      if (!peerConnection.remoteDescription) {
-        const answerSignal = await getSignalMessage("answer"); // Expects single object
-        if (answerSignal && answerSignal.payload) {
-          console.log("Initiator received answer:", answerSignal.payload.type);
-          await peerConnection.setRemoteDescription(
-            new RTCSessionDescription(answerSignal.payload),
-          );
-          await clearSignalMessage("answer"); // Clear by type
-        }
-      }
-      
-      // Poll for receiver's candidates if not yet connected OR if there might be stragglers
-      if (!isConnected || (Array.isArray(await getSignalMessage("candidate_receiver", true)))) { // Pass true to suppress "0 received" log if connected
-        const receiverCandidates = await getSignalMessage("candidate_receiver"); 
-        if (Array.isArray(receiverCandidates) && receiverCandidates.length > 0) {
-          console.log(`Initiator processing ${receiverCandidates.length} receiver candidates.`);
-          for (const candidateEntry of receiverCandidates) {
-            if (candidateEntry.payload && candidateEntry.payload.candidate) {
-              console.log("Initiator adding remote (receiver's) ICE candidate:", candidateEntry.payload.candidate.substring(0,70) + "...");
-              await peerConnection.addIceCandidate(
-                new RTCIceCandidate(candidateEntry.payload),
-              );
-              await clearSignalMessage(null, JSON.stringify(candidateEntry.key));
-            } else {
-              console.warn("Initiator received receiver's candidate signal, but payload or candidate string is empty. Skipping.", candidateEntry);
-              if(candidateEntry.key) await clearSignalMessage(null, JSON.stringify(candidateEntry.key));
-            }
-          }
-        } else if (!isConnected && Array.isArray(receiverCandidates)) { // Only log "0 received" if not connected yet
-            console.log("Initiator: No new receiver candidates found yet.");
-        }
-      }
-    } else { // Receiver polls for initiator's candidates
-      // Poll for initiator's candidates if not yet connected OR if there might be stragglers
-      if (!isConnected || (Array.isArray(await getSignalMessage("candidate_initiator", true)))) { // Pass true to suppress "0 received" log
-        const initiatorCandidates = await getSignalMessage("candidate_initiator"); 
-        if (Array.isArray(initiatorCandidates) && initiatorCandidates.length > 0) {
-          console.log(`Receiver processing ${initiatorCandidates.length} initiator candidates.`);
-          for (const candidateEntry of initiatorCandidates) {
-            if (candidateEntry.payload && candidateEntry.payload.candidate) {
-              console.log("Receiver adding remote (initiator's) ICE candidate:", candidateEntry.payload.candidate.substring(0,70) + "...");
-              await peerConnection.addIceCandidate(
-                new RTCIceCandidate(candidateEntry.payload),
-              );
-              await clearSignalMessage(null, JSON.stringify(candidateEntry.key));
-            } else {
-              console.warn("Receiver received initiator's candidate signal, but payload or candidate string is empty. Skipping.", candidateEntry);
-              if(candidateEntry.key) await clearSignalMessage(null, JSON.stringify(candidateEntry.key));
-            }
-          }
-        } else if (!isConnected && Array.isArray(initiatorCandidates)) { // Only log "0 received" if not connected yet
-            console.log("Receiver: No new initiator candidates found yet.");
-        }
-      }
-    }
-  } catch (error) {
-    console.error("Error polling for signal messages:", error);
+// A shared screen gets the full width of the grid and isn't cropped
+export function setRemoteVideoSource(remotePeerId, source) {
+  const peer = peers.get(remotePeerId);
+  if (!peer) {
+    return;
   }
+  console.log(`Peer ${shortPeerId(remotePeerId)} is now sending their ${source}.`);
+  peer.videoBox.classList.toggle("screen-share", source === "screen");
+}
 
-  // Determine if polling should continue
-  const stillNeedToPollOfferAnswer = isInitiator && !peerConnection.remoteDescription;
-  const iceStillNegotiating = !isConnected;
+// --- Video Grid ---
+function createRemoteVideoBox(remotePeerId) {
+  const videoBox = document.createElement("div");
+  videoBox.className = "video-box";
+  videoBox.dataset.peerId = remotePeerId;
+  const heading = document.createElement("h2");
+  heading.textContent = `Peer ${shortPeerId(remotePeerId)}`;
+  const video = document.createElement("video");
+  video.autoplay = true;
+  video.playsInline = true;
+  applySpeakerSelection(video); // The speaker picked in media.js
+  const reconnectingBadge = document.createElement("div");
+  reconnectingBadge.className = "reconnecting-badge";
+  reconnectingBadge.textContent = "Reconnecting…";
+  const recordingBadge = document.createElement("div");
+  recordingBadge.className = "recording-badge";
+  recordingBadge.textContent = "● Recording";
+  videoBox.append(heading, video, reconnectingBadge, recordingBadge);
+  videoGrid.appendChild(videoBox);
+  return videoBox;
+}
 
-  if (peerConnection && peerConnection.signalingState !== "closed" && !hangupButton.disabled) {
-    if (stillNeedToPollOfferAnswer || iceStillNegotiating) {
-      setTimeout(pollForSignalMessages, 2000); 
-    } else {
-      console.log("Connection established and offer/answer exchange complete. Stopping frequent polling.");
-      // Optionally, implement a much slower "cleanup" poll for any very late candidates, or stop entirely.
-      // For now, we stop frequent polling once connected and offer/answer is done.
-    }
-  }
+// On the presenter's page each viewer gets an entry in the viewer list instead of a video box
+function createViewerListItem(remotePeerId) {
+  const item = document.createElement("li");
+  item.dataset.peerId = remotePeerId;
+  item.textContent = `Peer ${shortPeerId(remotePeerId)}`;
+  viewerList.appendChild(item);
+  return item;
 }
 
-async function clearSignalMessage(type, candidateKeyString = null) {
-  try {
-    let url = `/signal?room=${ROOM_ID}`;
-    if (candidateKeyString) {
-      // Deleting a specific candidate by its full Deno KV key
-      url += `&candidateKey=${encodeURIComponent(candidateKeyString)}`;
-      console.log(`Requesting to clear specific candidate on server. Key: ${candidateKeyString}`);
-    } else if (type) {
-      // Deleting an offer or answer by type
-      url += `&type=${type}`;
-      console.log(`Requesting to clear signal type: ${type} on server.`);
+function updateParticipantCount() {
+  if (BROADCAST_ROLE === "presenter") {
+    const viewers = isSessionActive() ? peers.size : 0;
+    participantCountLabel.textContent = viewers === 1 ? "1 viewer" : `${viewers} viewers`;
+    viewerCountLabel.textContent = viewers;
+    return;
+  }
+  if (BROADCAST_ROLE === "viewer") {
+    if (!isSessionActive()) {
+      participantCountLabel.textContent = "broadcast";
     } else {
-      console.warn("clearSignalMessage called without type or candidateKeyString.");
-      return;
+      participantCountLabel.textContent = peers.size > 0 ? "watching the presenter" : "waiting for the presenter";
     }
+    return;
+  }
+  const count = isSessionActive() ? peers.size + 1 : 0;
+  participantCountLabel.textContent = count === 1
+    ? "1 participant"
+    : `${count} participants`;
+}
 
-    const response = await fetch(url, { method: "DELETE" });
-    if (!response.ok && response.status !== 404) {
-      console.error(
-        `Failed to clear signal message on server: ${type || candidateKeyString}`,
-        response.status,
-        await response.text(),
-      );
-    } else {
-      console.log(`Signal message ${type || candidateKeyString} cleared on server (or was not present).`);
-    }
-  } catch (error) {
-    console.error(`Error clearing signal message ${type || candidateKeyString} on server:`, error);
+async function hangUp() {
+  console.log("Hanging up session...");
+  stopRecording(); // Keeps what was recorded so far available for download
+  if (screenStream) {
+    screenStream.getTracks().forEach((track) => track.stop());
+    screenStream = null;
   }
+  await finishDiagnosticsReport(); // While we still have a token to send it with
+  if (session) {
+    const endingSession = session;
+    session = null;
+    await endingSession.hangUp(); // Each peer's "peerleft" removes its video box
+  }
+  if (localStream) {
+    localStream.getTracks().forEach((track) => track.stop());
+  }
+  localStream = null;
+  localVideo.srcObject = null;
+
+  startButton.disabled = false;
+  hangupButton.disabled = true;
+  screenShareButton.disabled = true;
+  screenShareButton.textContent = "Share Screen";
+  resetMediaControls();
+  passphraseInput.disabled = false;
+  updateChatAvailability(); // Nobody left to chat with
+
+  localPeerId = null;
+  updateParticipantCount();
+  updateRecordButtonAvailability();
 }
 
 // Initial UI state
+roomNameLabel.textContent = ROOM_ID;
+document.title = `WebRTC Video Chat - ${ROOM_ID}`;
+if (BROADCAST_ROLE) {
+  document.body.dataset.broadcast = BROADCAST_ROLE; // Viewers don't get the camera and microphone controls (see style.css)
+}
+if (BROADCAST_ROLE === "presenter") {
+  viewerPanel.hidden = false;
+  viewerLink.href = viewerUrl();
+  viewerLink.textContent = viewerUrl();
+}
 hangupButton.disabled = true;
-chatInput.disabled = true;
-sendButton.disabled = true;
+screenShareButton.disabled = true;
+if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+  screenShareButton.hidden = true; // e.g. mobile browsers
+}
+updateParticipantCount();
 
-console.log("Client script loaded. Ready for user to start session.");
\ No newline at end of file
+console.log(`Client script loaded for room '${ROOM_ID}'. Ready for user to start session.`);
@@ -0,0 +1,144 @@
+// --- Connection Diagnostics ---
+// Each session keeps a report of what happened while connecting: ICE and signaling state
+// changes, the types of the candidates gathered and received, errors and the browser. It is
+// sent to POST /api/diagnostics when the session ends, and straight away when we give up on a
+// peer, so failed sessions can be looked at on the admin page (/admin/diagnostics).
+// Candidate IP addresses are only included if the user ticks the opt-in box.
+import { ROOM_ID } from "./room.js";
+import { authHeaders, localPeerId, session } from "./client.js";
+
+// Longest lists kept (the server applies the same caps), so a report stays well under its
+// size limit. Later entries are counted in "dropped" instead.
+const DIAGNOSTIC_LIST_LIMITS = { events: 200, candidates: 150, errors: 50 };
+
+const diagnosticsIpOptIn = document.getElementById("diagnosticsIpOptIn");
+
+let diagnosticsReport = null; // From "Start Session" until the report is sent on hang-up
+
+export function startDiagnosticsReport() {
+  diagnosticsReport = {
+    sessionId: crypto.randomUUID(),
+    room: ROOM_ID,
+    startedAt: Date.now(),
+    endedAt: null,
+    events: [],
+    candidates: [],
+    errors: [],
+    dropped: 0,
+  };
+}
+
+function addDiagnosticEntry(listName, entry) {
+  if (!diagnosticsReport) {
+    return;
+  }
+  const list = diagnosticsReport[listName];
+  if (list.length >= DIAGNOSTIC_LIST_LIMITS[listName]) {
+    diagnosticsReport.dropped++;
+    return;
+  }
+  list.push({ ts: Date.now(), ...entry });
+}
+
+// kind is "session" (remotePeerId null), "ice" or "signaling"
+export function recordDiagnosticEvent(remotePeerId, kind, state) {
+  addDiagnosticEntry("events", { peer: remotePeerId, kind, state });
+}
+
+// "candidate:<foundation> <component> <protocol> <priority> <address> <port> typ <type> ..."
+function parseCandidateLine(candidateLine) {
+  const parts = candidateLine.replace(/^a=/, "").split(" ");
+  const typIndex = parts.indexOf("typ");
+  return {
+    protocol: parts[2] ? parts[2].toLowerCase() : null,
+    address: parts[4] || null,
+    port: Number(parts[5]) || null,
+    type: typIndex >= 0 ? parts[typIndex + 1] : null,
+  };
+}
+
+// side is "local" (gathered by us) or "remote" (received from the peer)
+export function recordDiagnosticCandidate(remotePeerId, side, candidate) {
+  const { type, protocol, address, port } = parseCandidateLine(candidate.candidate);
+  const entry = { peer: remotePeerId, side, type, protocol };
+  if (diagnosticsIpOptIn.checked) {
+    entry.address = address;
+    entry.port = port;
+  }
+  addDiagnosticEntry("candidates", entry);
+}
+
+export function recordDiagnosticError(message, remotePeerId = null) {
+  addDiagnosticEntry("errors", { peer: remotePeerId, message: String(message) });
+}
+
+// Safe to call repeatedly: the server keeps the latest report for each session ID. keepalive
+// is for page unload, where there is no time to fetch a token first.
+export async function sendDiagnosticsReport({ keepalive = false } = {}) {
+  if (!diagnosticsReport) {
+    return;
+  }
+  const report = {
+    ...diagnosticsReport,
+    peerId: localPeerId,
+    includeAddresses: diagnosticsIpOptIn.checked,
+    browser: {
+      userAgent: navigator.userAgent,
+      language: navigator.language,
+      platform: navigator.userAgentData?.platform ?? navigator.platform,
+    },
+    iceServerUrls: session ? session.iceServers.flatMap((server) => server.urls) : [], // No credentials
+  };
+  try {
+    if (!session) {
+      return;
+    }
+    if (!session.token && !keepalive) {
+      await session.fetchRoomToken(); // The session failed before joining
+    }
+    if (!session.token) {
+      return;
+    }
+    const response = await fetch("/api/diagnostics", {
+      method: "POST",
+      headers: authHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(report),
+      keepalive,
+    });
+    if (!response.ok) {
+      console.warn("Diagnostics report rejected by server:", response.status, await response.text());
+      return;
+    }
+    console.log(`Sent diagnostics report for session ${report.sessionId}.`);
+  } catch (error) {
+    console.warn("Could not send diagnostics report:", error);
+  }
+}
+
+// Called on hang-up
+export async function finishDiagnosticsReport() {
+  if (!diagnosticsReport) {
+    return;
+  }
+  recordDiagnosticEvent(null, "session", "ended");
+  diagnosticsReport.endedAt = Date.now();
+  await sendDiagnosticsReport();
+  diagnosticsReport = null;
+}
+
+globalThis.addEventListener("error", (event) => {
+  recordDiagnosticError(event.message);
+});
+
+globalThis.addEventListener("unhandledrejection", (event) => {
+  recordDiagnosticError(event.reason?.message ?? event.reason);
+});
+
+globalThis.addEventListener("pagehide", () => {
+  if (diagnosticsReport) {
+    recordDiagnosticEvent(null, "session", "page closed");
+    diagnosticsReport.endedAt = Date.now();
+    sendDiagnosticsReport({ keepalive: true });
+    diagnosticsReport = null;
+  }
+});
@@ -0,0 +1,177 @@
+// --- End-to-End Encryption (optional room passphrase) ---
+// With a passphrase, every participant derives the same AES-GCM key from it with PBKDF2, salted
+// with the room ID. Signaling payloads (SDP and candidates) are encrypted before they reach the
+// server, and chat messages before they go on the data channel, as
+//   { e2e: 1, iv, ciphertext }   (base64)
+// The additional authenticated data names the room, the kind of message and the sender, so a
+// ciphertext can't be replayed as coming from someone else.
+//
+// The same derivation also yields a check value that is sent when joining. The first
+// participant's check value is stored for the room and later joins must match it, so a wrong
+// passphrase is turned away up front instead of producing undecryptable offers.
+import { shortPeerId } from "./lanchu.js";
+import { ROOM_ID } from "./room.js";
+import { localPeerId } from "./client.js";
+import { displayChatMessage } from "./chat.js";
+
+const E2E_VERSION = 1;
+const E2E_PBKDF2_ITERATIONS = 250000;
+const E2E_IV_BYTES = 12;
+
+export const passphraseInput = document.getElementById("passphraseInput");
+const e2eStatus = document.getElementById("e2eStatus");
+
+export let roomKey = null; // AES-GCM CryptoKey, or null when the room has no passphrase
+export let roomKeyCheck = null; // Sent with the join request
+const peersWithE2eErrors = new Set(); // So each problem peer is reported once
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+// Called before joining. Derives the key from the passphrase field, if it isn't empty.
+export async function prepareRoomKey() {
+  const passphrase = passphraseInput.value;
+  peersWithE2eErrors.clear();
+  if (!passphrase) {
+    roomKey = null;
+    roomKeyCheck = null;
+    setE2eStatus("", false);
+    return;
+  }
+  console.log(`Deriving room key from passphrase (PBKDF2, ${E2E_PBKDF2_ITERATIONS} iterations)...`);
+  const encoder = new TextEncoder();
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveBits"],
+  );
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      salt: encoder.encode(`lanchu-e2e:${ROOM_ID}`),
+      iterations: E2E_PBKDF2_ITERATIONS,
+    },
+    baseKey,
+    512,
+  ));
+  // First half is the key; the check value is a hash of the second half, so it says nothing
+  // about the key itself.
+  roomKey = await crypto.subtle.importKey(
+    "raw",
+    bits.slice(0, 32),
+    { name: "AES-GCM" },
+    false,
+    ["encrypt", "decrypt"],
+  );
+  roomKeyCheck = bytesToBase64(new Uint8Array(await crypto.subtle.digest("SHA-256", bits.slice(32))));
+  setE2eStatus("End-to-end encrypted with the room passphrase", false);
+}
+
+function additionalDataFor(context) {
+  return new TextEncoder().encode(`lanchu:${ROOM_ID}:${context}`);
+}
+
+function isSealed(value) {
+  return value !== null && typeof value === "object" && value.e2e === E2E_VERSION &&
+    typeof value.iv === "string" && typeof value.ciphertext === "string";
+}
+
+async function seal(context, plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(E2E_IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: additionalDataFor(context) },
+    roomKey,
+    new TextEncoder().encode(plaintext),
+  );
+  return {
+    e2e: E2E_VERSION,
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext)),
+  };
+}
+
+// Returns the plaintext, or null (after telling the user why) if it can't be decrypted or
+// the sender's encryption doesn't match ours
+async function openSealed(remotePeerId, context, value) {
+  if (!roomKey) {
+    if (isSealed(value)) {
+      reportE2eProblem(remotePeerId, "is using a room passphrase. Enter the same passphrase and rejoin");
+    }
+    return null;
+  }
+  if (!isSealed(value)) {
+    reportE2eProblem(remotePeerId, "is not using the room passphrase, so their messages were ignored");
+    return null;
+  }
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: base64ToBytes(value.iv), additionalData: additionalDataFor(context) },
+      roomKey,
+      base64ToBytes(value.ciphertext),
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    console.warn(`Could not decrypt ${context} from Peer ${shortPeerId(remotePeerId)}:`, error);
+    reportE2eProblem(remotePeerId, "is using a different passphrase. Their messages can't be decrypted");
+    return null;
+  }
+}
+
+// --- Signaling payloads ---
+// The server can see who is signaling whom, but not the SDP or candidates
+export async function sealSignalPayload(to, payload) {
+  if (!roomKey) {
+    return payload;
+  }
+  return await seal(`signal:${localPeerId}>${to}`, JSON.stringify(payload));
+}
+
+// Returns { payload }, or null if the signal must be dropped
+export async function openSignalPayload(signal) {
+  if (!roomKey && !isSealed(signal.payload)) {
+    return { payload: signal.payload };
+  }
+  const plaintext = await openSealed(signal.from, `signal:${signal.from}>${localPeerId}`, signal.payload);
+  return plaintext === null ? null : { payload: JSON.parse(plaintext) };
+}
+
+// --- Chat messages ---
+export async function sealChatData(data) {
+  if (!roomKey) {
+    return data;
+  }
+  return JSON.stringify(await seal(`chat:${localPeerId}`, data));
+}
+
+// Takes the parsed JSON from the channel; returns the envelope's JSON text, or null
+export async function openChatData(remotePeerId, parsed, data) {
+  if (!roomKey && !isSealed(parsed)) {
+    return data;
+  }
+  return await openSealed(remotePeerId, `chat:${remotePeerId}`, parsed);
+}
+
+// --- UI ---
+function reportE2eProblem(remotePeerId, problem) {
+  if (peersWithE2eErrors.has(remotePeerId)) {
+    return;
+  }
+  peersWithE2eErrors.add(remotePeerId);
+  const message = `Peer ${shortPeerId(remotePeerId)} ${problem}.`;
+  console.error(message);
+  displayChatMessage("System", message);
+  setE2eStatus(message, true);
+}
+
+function setE2eStatus(text, isError) {
+  e2eStatus.textContent = text;
+  e2eStatus.classList.toggle("error", isError);
+}
@@ -0,0 +1,496 @@
+// --- File Transfer over a dedicated binary Data Channel ---
+// Each peer connection gets a second data channel, "file", next to "chat". Files are sent to
+// every participant, one at a time per peer, in fixed-size chunks. Control messages are JSON
+// strings; chunks are binary: a 4-byte big-endian chunk index followed by the chunk data.
+//
+//   sender -> { type: "file-offer", transferId, name, size, mimeType, totalChunks, sha256 }
+//   receiver -> { type: "file-ack", transferId, nextChunk }   (on offer, then every few chunks)
+//   sender -> chunks from nextChunk onwards
+//   receiver -> { type: "file-done", transferId, verified }   (after checking the SHA-256)
+//
+// sha256 is taken over the SHA-256 digests of the file's 1 MiB blocks, so neither side has to
+// read the whole file into one buffer to check it. Files over MAX_FILE_SIZE aren't sent, and an
+// offer whose size and totalChunks don't agree is ignored.
+//
+// The sender only starts sending once the offer is acknowledged. If the channel closes mid-way
+// (e.g. during an ICE restart) the caller opens a new one once the peer is reconnected, the
+// sender repeats the offer, and the receiver's ack tells it which chunk to resume from.
+import { shortPeerId } from "./lanchu.js";
+import { peers } from "./client.js";
+import { chatLog, displayChatMessage } from "./chat.js";
+
+export const FILE_CHANNEL_LABEL = "file";
+const FILE_CHUNK_SIZE = 16 * 1024; // Stays under every browser's message size limit
+const CHUNK_HEADER_BYTES = 4;
+const HASH_BLOCK_SIZE = 1024 * 1024;
+const MAX_FILE_SIZE = 256 * 1024 * 1024; // Received files are held in memory until saved
+const MAX_BUFFERED_AMOUNT = 1024 * 1024; // Pause sending above this...
+const BUFFERED_AMOUNT_LOW_THRESHOLD = 256 * 1024; // ...until the buffer drains below this
+const ACK_INTERVAL_CHUNKS = 16;
+
+const chatContainer = document.querySelector(".chat-container");
+const fileInput = document.getElementById("fileInput");
+
+export function createFileChannel(peer, remotePeerId) {
+  console.log(`Caller creating data channel '${FILE_CHANNEL_LABEL}' for peer ${shortPeerId(remotePeerId)}.`);
+  const channel = peer.peerConnection.createDataChannel(FILE_CHANNEL_LABEL, { ordered: true });
+  setupFileChannel(channel, remotePeerId);
+}
+
+// The chat channel closes with the connection, but the file channel can be replaced while the
+// peer connection lives on, so only the caller re-creates it.
+export function reopenFileChannel(remotePeerId) {
+  const peer = peers.get(remotePeerId);
+  if (!peer || !peer.isCaller) {
+    return;
+  }
+  const state = peer.fileChannel ? peer.fileChannel.readyState : "closed";
+  if (state === "closing" || state === "closed") {
+    console.log(`File channel with peer ${shortPeerId(remotePeerId)} is ${state}. Opening a new one.`);
+    createFileChannel(peer, remotePeerId);
+  }
+}
+
+export function setupFileChannel(channel, remotePeerId) {
+  const peer = peers.get(remotePeerId);
+  if (!peer) {
+    channel.close();
+    return;
+  }
+  peer.fileChannel = channel;
+  channel.binaryType = "arraybuffer";
+  channel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW_THRESHOLD;
+
+  channel.onopen = () => {
+    console.log(`File channel with peer ${shortPeerId(remotePeerId)} is open.`);
+    updateFileInputAvailability();
+    offerNextOutgoingTransfer(remotePeerId); // Resumes anything that was interrupted
+  };
+  channel.onclose = () => {
+    console.log(`File channel with peer ${shortPeerId(remotePeerId)} is closed.`);
+    updateFileInputAvailability();
+    if (peer.fileChannel === channel) {
+      markTransfersInterrupted(peer);
+    }
+  };
+  channel.onerror = (error) => {
+    console.error(`File channel with peer ${shortPeerId(remotePeerId)} ERROR:`, error);
+  };
+  channel.onmessage = (event) => {
+    if (typeof event.data === "string") {
+      handleFileControlMessage(remotePeerId, event.data);
+    } else {
+      handleFileChunk(remotePeerId, event.data);
+    }
+  };
+}
+
+function openFileChannelPeers() {
+  return [...peers.entries()]
+    .filter(([, peer]) => peer.fileChannel && peer.fileChannel.readyState === "open")
+    .map(([remotePeerId]) => remotePeerId);
+}
+
+export function updateFileInputAvailability() {
+  fileInput.disabled = openFileChannelPeers().length === 0;
+}
+
+function sendFileControlMessage(peer, message) {
+  if (peer.fileChannel && peer.fileChannel.readyState === "open") {
+    peer.fileChannel.send(JSON.stringify(message));
+  }
+}
+
+function handleFileControlMessage(remotePeerId, data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (_e) {
+    console.warn(`Ignoring malformed file control message from peer ${shortPeerId(remotePeerId)}.`);
+    return;
+  }
+  switch (message.type) {
+    case "file-offer":
+      handleFileOffer(remotePeerId, message);
+      break;
+    case "file-ack":
+      handleFileAck(remotePeerId, message);
+      break;
+    case "file-done":
+      handleFileDone(remotePeerId, message);
+      break;
+    default:
+      console.warn(`Unknown file control message type '${message.type}' from peer ${shortPeerId(remotePeerId)}.`);
+  }
+}
+
+// --- Sending ---
+async function sendFiles(files) {
+  const recipients = openFileChannelPeers();
+  if (recipients.length === 0) {
+    displayChatMessage("System", "Nobody is connected to receive files yet.");
+    return;
+  }
+  for (const file of files) {
+    if (file.size > MAX_FILE_SIZE) {
+      displayChatMessage("System", `'${file.name}' is larger than ${formatFileSize(MAX_FILE_SIZE)} and was not sent.`);
+      continue;
+    }
+    const sha256 = await blockSha256Hex(file);
+    for (const remotePeerId of recipients) {
+      const peer = peers.get(remotePeerId);
+      if (!peer) {
+        continue;
+      }
+      const transfer = {
+        id: crypto.randomUUID(),
+        file,
+        sha256,
+        totalChunks: chunkCount(file.size),
+        nextChunk: 0, // Next chunk to send
+        ackedChunks: 0, // Chunks the receiver has confirmed
+        status: "queued", // queued -> offered -> sending -> verifying, or interrupted -> offered
+        isPumping: false,
+        ui: createTransferElement(`To Peer ${shortPeerId(remotePeerId)}`, file.name, file.size),
+      };
+      setTransferStatus(transfer, "Queued");
+      peer.outgoingTransfers.push(transfer);
+      console.log(`Queued '${file.name}' (${file.size} bytes) for peer ${shortPeerId(remotePeerId)}.`);
+      if (peer.outgoingTransfers.length === 1) {
+        offerNextOutgoingTransfer(remotePeerId);
+      }
+    }
+  }
+}
+
+function offerNextOutgoingTransfer(remotePeerId) {
+  const peer = peers.get(remotePeerId);
+  const transfer = peer && peer.outgoingTransfers[0];
+  if (!transfer || !peer.fileChannel || peer.fileChannel.readyState !== "open") {
+    return;
+  }
+  if (transfer.status === "sending" || transfer.status === "verifying") {
+    return;
+  }
+  console.log(`Offering '${transfer.file.name}' to peer ${shortPeerId(remotePeerId)}.`);
+  transfer.status = "offered";
+  setTransferStatus(transfer, "Waiting for the receiver...");
+  sendFileControlMessage(peer, {
+    type: "file-offer",
+    transferId: transfer.id,
+    name: transfer.file.name,
+    size: transfer.file.size,
+    mimeType: transfer.file.type,
+    totalChunks: transfer.totalChunks,
+    sha256: transfer.sha256,
+  });
+}
+
+function handleFileAck(remotePeerId, message) {
+  const peer = peers.get(remotePeerId);
+  const transfer = peer && peer.outgoingTransfers[0];
+  if (!transfer || transfer.id !== message.transferId) {
+    return;
+  }
+  const nextChunk = Number(message.nextChunk);
+  if (!Number.isInteger(nextChunk) || nextChunk < 0 || nextChunk > transfer.totalChunks) {
+    console.warn(`Ignoring invalid file ack from peer ${shortPeerId(remotePeerId)}:`, message);
+    return;
+  }
+  transfer.ackedChunks = nextChunk;
+  setTransferProgress(transfer, Math.min(transfer.file.size, nextChunk * FILE_CHUNK_SIZE));
+  if (transfer.status === "offered") {
+    if (nextChunk > 0) {
+      console.log(`Resuming '${transfer.file.name}' for peer ${shortPeerId(remotePeerId)} from chunk ${nextChunk}.`);
+    }
+    transfer.nextChunk = nextChunk;
+    transfer.status = "sending";
+    setTransferStatus(transfer, "Sending...");
+    pumpOutgoingTransfer(remotePeerId);
+  }
+}
+
+// Sends chunks until the transfer is done or interrupted, pausing while the channel's buffer is
+// full. A resume may rewind nextChunk while a chunk is being read, so it is re-checked before
+// each send.
+async function pumpOutgoingTransfer(remotePeerId) {
+  const peer = peers.get(remotePeerId);
+  const transfer = peer && peer.outgoingTransfers[0];
+  if (!transfer || transfer.isPumping) {
+    return;
+  }
+  transfer.isPumping = true;
+  try {
+    while (transfer.nextChunk < transfer.totalChunks) {
+      const channel = peer.fileChannel;
+      if (transfer.status !== "sending" || !channel || channel.readyState !== "open") {
+        return; // Picked up again when the channel reopens
+      }
+      if (channel.bufferedAmount > MAX_BUFFERED_AMOUNT) {
+        await waitForBufferedAmountLow(channel);
+        continue;
+      }
+      const index = transfer.nextChunk;
+      const start = index * FILE_CHUNK_SIZE;
+      const data = await transfer.file.slice(start, start + FILE_CHUNK_SIZE).arrayBuffer();
+      if (index !== transfer.nextChunk || channel !== peer.fileChannel || channel.readyState !== "open") {
+        continue;
+      }
+      const packet = new Uint8Array(CHUNK_HEADER_BYTES + data.byteLength);
+      new DataView(packet.buffer).setUint32(0, index);
+      packet.set(new Uint8Array(data), CHUNK_HEADER_BYTES);
+      channel.send(packet);
+      transfer.nextChunk++;
+    }
+    transfer.status = "verifying";
+    setTransferStatus(transfer, "Waiting for the receiver to verify...");
+  } catch (error) {
+    console.error(`Error sending '${transfer.file.name}' to peer ${shortPeerId(remotePeerId)}:`, error);
+  } finally {
+    transfer.isPumping = false;
+  }
+}
+
+function waitForBufferedAmountLow(channel) {
+  return new Promise((resolve) => {
+    const done = () => {
+      channel.removeEventListener("bufferedamountlow", done);
+      channel.removeEventListener("close", done);
+      resolve();
+    };
+    channel.addEventListener("bufferedamountlow", done);
+    channel.addEventListener("close", done);
+  });
+}
+
+function handleFileDone(remotePeerId, message) {
+  const peer = peers.get(remotePeerId);
+  const transfer = peer && peer.outgoingTransfers[0];
+  if (!transfer || transfer.id !== message.transferId) {
+    return;
+  }
+  peer.outgoingTransfers.shift();
+  if (message.verified) {
+    console.log(`Peer ${shortPeerId(remotePeerId)} received and verified '${transfer.file.name}'.`);
+    setTransferProgress(transfer, transfer.file.size);
+    setTransferStatus(transfer, "Sent");
+  } else {
+    console.error(`Peer ${shortPeerId(remotePeerId)} reported a checksum mismatch for '${transfer.file.name}'.`);
+    setTransferStatus(transfer, "Failed: the receiver's checksum did not match", true);
+  }
+  offerNextOutgoingTransfer(remotePeerId);
+}
+
+// --- Receiving ---
+function handleFileOffer(remotePeerId, message) {
+  const peer = peers.get(remotePeerId);
+  if (!peer) {
+    return;
+  }
+  const size = Number(message.size);
+  const totalChunks = Number(message.totalChunks);
+  if (typeof message.transferId !== "string" || typeof message.name !== "string" ||
+      !Number.isInteger(size) || size < 0 || size > MAX_FILE_SIZE ||
+      totalChunks !== chunkCount(size) || typeof message.sha256 !== "string") {
+    console.warn(`Ignoring invalid file offer from peer ${shortPeerId(remotePeerId)}:`, message);
+    return;
+  }
+  let transfer = peer.incomingTransfers.get(message.transferId);
+  if (transfer) {
+    console.log(`Peer ${shortPeerId(remotePeerId)} is resuming '${transfer.name}' at chunk ${transfer.chunks.length}.`);
+  } else {
+    console.log(`Receiving '${message.name}' (${size} bytes) from peer ${shortPeerId(remotePeerId)}.`);
+    transfer = {
+      id: message.transferId,
+      name: message.name,
+      size,
+      mimeType: message.mimeType || "application/octet-stream",
+      totalChunks,
+      sha256: message.sha256,
+      chunks: [], // ArrayBuffers, in order
+      receivedBytes: 0,
+      ui: createTransferElement(`From Peer ${shortPeerId(remotePeerId)}`, message.name, size),
+    };
+    peer.incomingTransfers.set(transfer.id, transfer);
+  }
+  peer.currentIncomingTransfer = transfer;
+  setTransferStatus(transfer, "Receiving...");
+  sendFileControlMessage(peer, {
+    type: "file-ack",
+    transferId: transfer.id,
+    nextChunk: transfer.chunks.length,
+  });
+}
+
+function handleFileChunk(remotePeerId, buffer) {
+  const peer = peers.get(remotePeerId);
+  const transfer = peer && peer.currentIncomingTransfer;
+  if (!transfer || buffer.byteLength < CHUNK_HEADER_BYTES) {
+    console.warn(`Unexpected file chunk from peer ${shortPeerId(remotePeerId)}. Dropping it.`);
+    return;
+  }
+  const index = new DataView(buffer).getUint32(0);
+  const dataBytes = buffer.byteLength - CHUNK_HEADER_BYTES;
+  if (index >= transfer.totalChunks || dataBytes > FILE_CHUNK_SIZE ||
+      transfer.receivedBytes + dataBytes > transfer.size) {
+    console.warn(`Invalid chunk ${index} from peer ${shortPeerId(remotePeerId)} for '${transfer.name}'. Dropping it.`);
+    return;
+  }
+  if (index !== transfer.chunks.length) {
+    console.warn(`Out-of-order chunk ${index} from peer ${shortPeerId(remotePeerId)} (expected ${transfer.chunks.length}). Dropping it.`);
+    return;
+  }
+  const data = buffer.slice(CHUNK_HEADER_BYTES);
+  transfer.chunks.push(data);
+  transfer.receivedBytes += data.byteLength;
+  setTransferProgress(transfer, transfer.receivedBytes);
+
+  const isComplete = transfer.chunks.length === transfer.totalChunks;
+  if (isComplete || transfer.chunks.length % ACK_INTERVAL_CHUNKS === 0) {
+    sendFileControlMessage(peer, {
+      type: "file-ack",
+      transferId: transfer.id,
+      nextChunk: transfer.chunks.length,
+    });
+  }
+  if (isComplete) {
+    finishIncomingTransfer(remotePeerId, transfer);
+  }
+}
+
+async function finishIncomingTransfer(remotePeerId, transfer) {
+  const peer = peers.get(remotePeerId);
+  if (peer) {
+    peer.incomingTransfers.delete(transfer.id);
+    if (peer.currentIncomingTransfer === transfer) {
+      peer.currentIncomingTransfer = null;
+    }
+  }
+  setTransferStatus(transfer, "Verifying...");
+  const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+  transfer.chunks = [];
+  const verified = blob.size === transfer.size && (await blockSha256Hex(blob)) === transfer.sha256;
+  if (peer) {
+    sendFileControlMessage(peer, { type: "file-done", transferId: transfer.id, verified });
+  }
+  if (!verified) {
+    console.error(`Checksum mismatch for '${transfer.name}' from peer ${shortPeerId(remotePeerId)}.`);
+    setTransferStatus(transfer, "Failed: checksum mismatch", true);
+    return;
+  }
+  console.log(`Received and verified '${transfer.name}' from peer ${shortPeerId(remotePeerId)}.`);
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = transfer.name;
+  link.textContent = "Download";
+  setTransferStatus(transfer, "Received ");
+  transfer.ui.status.appendChild(link);
+}
+
+// --- Interruptions ---
+function markTransfersInterrupted(peer) {
+  const outgoing = peer.outgoingTransfers[0];
+  if (outgoing && (outgoing.status === "offered" || outgoing.status === "sending")) {
+    outgoing.status = "interrupted";
+    setTransferStatus(outgoing, "Interrupted; will resume when the connection is back");
+  }
+  if (peer.currentIncomingTransfer) {
+    setTransferStatus(peer.currentIncomingTransfer, "Interrupted; waiting for the sender to resume");
+    peer.currentIncomingTransfer = null;
+  }
+}
+
+// Called when a peer leaves for good
+export function cancelFileTransfers(peer) {
+  for (const transfer of peer.outgoingTransfers) {
+    setTransferStatus(transfer, "Cancelled: the peer left", true);
+  }
+  for (const transfer of peer.incomingTransfers.values()) {
+    setTransferStatus(transfer, "Cancelled: the peer left", true);
+  }
+  peer.outgoingTransfers = [];
+  peer.incomingTransfers.clear();
+  peer.currentIncomingTransfer = null;
+  if (peer.fileChannel) {
+    peer.fileChannel.close();
+  }
+}
+
+// --- Transfer UI (shown in the chat log) ---
+function createTransferElement(direction, name, size) {
+  const element = document.createElement("div");
+  element.className = "file-transfer";
+  const label = document.createElement("span");
+  label.className = "file-transfer-name";
+  label.textContent = `[${direction}]: ${name} (${formatFileSize(size)})`;
+  const progress = document.createElement("progress");
+  progress.max = size || 1;
+  progress.value = 0;
+  const status = document.createElement("span");
+  status.className = "file-transfer-status";
+  element.append(label, progress, status);
+  chatLog.appendChild(element);
+  chatLog.scrollTop = chatLog.scrollHeight;
+  return { element, progress, status };
+}
+
+function setTransferProgress(transfer, bytes) {
+  transfer.ui.progress.value = bytes;
+}
+
+function setTransferStatus(transfer, text, isError = false) {
+  transfer.ui.status.textContent = text;
+  transfer.ui.element.classList.toggle("failed", isError);
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// An empty file is still sent as one empty chunk
+function chunkCount(size) {
+  return Math.max(1, Math.ceil(size / FILE_CHUNK_SIZE));
+}
+
+// WebCrypto can't hash a stream, so each block is hashed on its own and the list of digests is
+// hashed again. Only one block is read into memory at a time.
+async function blockSha256Hex(blob) {
+  const digests = new Uint8Array(Math.ceil(blob.size / HASH_BLOCK_SIZE) * 32);
+  for (let start = 0; start < blob.size; start += HASH_BLOCK_SIZE) {
+    const block = await blob.slice(start, start + HASH_BLOCK_SIZE).arrayBuffer();
+    digests.set(new Uint8Array(await crypto.subtle.digest("SHA-256", block)), start / HASH_BLOCK_SIZE * 32);
+  }
+  const digest = await crypto.subtle.digest("SHA-256", digests);
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// --- Drag and Drop ---
+chatContainer.addEventListener("dragover", (event) => {
+  if (event.dataTransfer.types.includes("Files")) {
+    event.preventDefault();
+    chatContainer.classList.add("drag-over");
+  }
+});
+chatContainer.addEventListener("dragleave", () => {
+  chatContainer.classList.remove("drag-over");
+});
+chatContainer.addEventListener("drop", (event) => {
+  event.preventDefault();
+  chatContainer.classList.remove("drag-over");
+  if (event.dataTransfer.files.length > 0) {
+    sendFiles([...event.dataTransfer.files]);
+  }
+});
+fileInput.addEventListener("change", () => {
+  sendFiles([...fileInput.files]);
+  fileInput.value = "";
+});
+fileInput.disabled = true;
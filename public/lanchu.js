@@ -0,0 +1,1061 @@
+// --- LanchuSession: signaling and peer connections for one room ---
+// Everything needed to take part in a call, with no DOM access and no module-level state, so
+// a call can be embedded in any page and several sessions can run side by side:
+//
+//   import { LanchuSession } from "/lanchu.js";
+//   const session = new LanchuSession({ room: "standup" });
+//   session.addEventListener("remotestream", (event) => {
+//     videoFor(event.detail.peerId).srcObject = event.detail.stream;
+//   });
+//   session.addEventListener("message", (event) => console.log(event.detail.data));
+//   await session.start(await navigator.mediaDevices.getUserMedia({ audio: true, video: true }));
+//   session.send("hello");
+//
+// Options:
+//   room           Room to join (required)
+//   signalingUrl   Base URL of the lanchu server (default: this page's origin)
+//   iceServersUrl  Where to get STUN/TURN servers (default: <signalingUrl>/api/ice-servers)
+//   broadcast      "presenter" or "viewer" to take part in a one-to-many broadcast instead of a
+//                  call (default: null). The presenter connects to every viewer; a viewer only
+//                  to the presenter, with receive-only transceivers, and never sends media.
+//   sealSignal(to, payload) and openSignal(signal)
+//                  Encrypt and decrypt signaling payloads. openSignal resolves to { payload },
+//                  or null to drop the signal. By default payloads are sent as they are.
+//
+// Methods: start(localStream, { keyCheck, onJoined }), hangUp(), send(data, to),
+// replaceTrack(kind, track), openPeerIds(), authHeaders(headers) and fetchRoomToken(). keyCheck
+// is sent on join in rooms with a passphrase (see e2e.js). onJoined(joinResult) is awaited once
+// the session has its peer ID and token, before any connection is made.
+//
+// Events are CustomEvents; their detail is shown in braces:
+//   statechange            { state }  "new" -> "joining" -> "active" -> "closed"
+//   peerconnection         { peerId, peerConnection, isCaller }  A connection to a participant
+//                          was created. Extra data channels can be added here by the caller.
+//   remotestream           { peerId, stream }
+//   connectionstatechange  { peerId, state }  "reconnecting" while ICE restarts, then "connected"
+//   peerleft               { peerId, reason }  "left", "failed" (gave up reconnecting) or "hangup"
+//   channelopen            { peerId }  The message channel with this participant opened...
+//   channelclose           { peerId }  ...or closed
+//   message                { peerId, data }  Received on the message channel
+//   datachannel            { peerId, channel }  Any other channel the remote side opened
+//   icecandidate           { peerId, side, candidate }  side is "local" or "remote"
+//   diagnostic             { peerId, kind, state }  kind is "session", "ice" or "signaling"
+//   error                  { message, peerId }
+
+const DEFAULT_ICE_SERVERS = [{ urls: "stun:stun.l.google.com:19302" }];
+const MESSAGE_CHANNEL_LABEL = "chat";
+const HEARTBEAT_INTERVAL_MS = 30000; // The server drops roster entries that stop heartbeating
+const DISCONNECT_GRACE_MS = 5000; // How long "disconnected" may last before we restart ICE
+const RECONNECT_ATTEMPT_TIMEOUT_MS = 10000; // How long each restart gets to succeed
+const MAX_RECONNECT_ATTEMPTS = 3;
+const SIGNALING_SOCKET_TIMEOUT_MS = 3000;
+const SIGNALING_SOCKET_RETRY_MS = 5000;
+const POLL_INTERVAL_MS = 2000;
+const SIGNAL_SEND_MAX_ATTEMPTS = 3;
+
+export function shortPeerId(peerId) {
+  return peerId.substring(0, 8);
+}
+
+function iceUfragOf(sdp) {
+  const match = sdp && sdp.match(/a=ice-ufrag:(\S+)/);
+  return match ? match[1] : null;
+}
+
+function isPeerConnected(peer) {
+  const state = peer.peerConnection.iceConnectionState;
+  return state === "connected" || state === "completed";
+}
+
+export class LanchuSession extends EventTarget {
+  #room;
+  #signalingUrl;
+  #iceServersUrl;
+  #sealSignal;
+  #openSignal;
+  #state = "new";
+  #peerId = null; // Issued by the server when we join the room
+  #role = null;
+  #broadcast;
+  #token = null; // Join token for every signaling call; renewed by each heartbeat
+  #iceServers = DEFAULT_ICE_SERVERS;
+  #localStream = null;
+  #outgoingTracks = { audio: null, video: null }; // What new peers get; see replaceTrack()
+  // One entry per remote participant (full mesh; in a broadcast, the presenter or each viewer):
+  // remote peer ID ->
+  // { peerConnection, channel, remoteStream, senders, isCaller, polite, makingOffer, ... }
+  #peers = new Map();
+  #socket = null;
+  #isPolling = false; // The socket can drop more than once; only ever run one polling loop
+  #heartbeatTimer = null;
+  #onPageHide = () => this.#leaveOnPageHide();
+
+  constructor({
+    room,
+    signalingUrl = location.origin,
+    iceServersUrl = null,
+    broadcast = null,
+    sealSignal = null,
+    openSignal = null,
+  } = {}) {
+    super();
+    if (!room) {
+      throw new Error("LanchuSession needs a room");
+    }
+    if (broadcast !== null && broadcast !== "presenter" && broadcast !== "viewer") {
+      throw new Error(`Unknown broadcast role '${broadcast}'`);
+    }
+    this.#broadcast = broadcast;
+    this.#room = room;
+    this.#signalingUrl = signalingUrl.replace(/\/+$/, "");
+    this.#iceServersUrl = iceServersUrl ?? `${this.#signalingUrl}/api/ice-servers`;
+    this.#sealSignal = sealSignal ?? ((_to, payload) => payload);
+    this.#openSignal = openSignal ?? ((signal) => ({ payload: signal.payload }));
+  }
+
+  get room() {
+    return this.#room;
+  }
+
+  get state() {
+    return this.#state;
+  }
+
+  get peerId() {
+    return this.#peerId;
+  }
+
+  // "receiver" if we were first in the room, "initiator" otherwise
+  get role() {
+    return this.#role;
+  }
+
+  // "presenter" or "viewer" in a broadcast, null in a call
+  get broadcast() {
+    return this.#broadcast;
+  }
+
+  get token() {
+    return this.#token;
+  }
+
+  get iceServers() {
+    return this.#iceServers;
+  }
+
+  // Joins the room and connects to everyone in it (in a broadcast, to the presenter or the
+  // viewers). Resolves to the server's { peerId, role, peers } once joined; throws (after
+  // cleaning up) if joining fails, e.g. because the room is full or the passphrase is wrong.
+  async start(localStream = null, { keyCheck = null, onJoined = null } = {}) {
+    if (this.#state !== "new") {
+      throw new Error(`This session is already ${this.#state}`);
+    }
+    this.#setState("joining");
+    if (this.#broadcast === "viewer") {
+      localStream = null; // Viewers only receive
+    }
+    this.#localStream = localStream;
+    this.#outgoingTracks = {
+      audio: localStream?.getAudioTracks()[0] ?? null,
+      video: localStream?.getVideoTracks()[0] ?? null,
+    };
+    try {
+      await this.#fetchIceServers();
+
+      // ---- The server assigns our role atomically, so simultaneous joins can't both think they're first ----
+      const joinResult = await this.#joinRoom(keyCheck);
+      this.#peerId = joinResult.peerId;
+      this.#role = joinResult.role;
+      this.#setState("active");
+      this.#emitDiagnostic(null, "session", `joined as ${joinResult.role}`);
+      this.#startHeartbeat();
+      globalThis.addEventListener("pagehide", this.#onPageHide);
+      console.log(
+        `Joined room '${this.#room}' as peer ${this.#peerId} (${joinResult.role}${this.#broadcast ? `, ${this.#broadcast}` : ""}). ${joinResult.peers.length} participant(s) to connect to.`,
+      );
+      if (onJoined) {
+        await onJoined(joinResult);
+      }
+
+      if (joinResult.role === "initiator") {
+        // Everyone already in the room gets a connection (and so an offer) from us
+        for (const remotePeerId of joinResult.peers) {
+          this.#callPeer(remotePeerId);
+        }
+      } else if (this.#broadcast === "viewer") {
+        console.log("The presenter isn't here yet. Waiting for their offer.");
+      } else {
+        console.log("First in the room. Waiting for others to send offers.");
+      }
+
+      if (await this.#connectSignalingSocket()) {
+        await this.#processPendingSignals(); // Catch up on anything stored before the socket opened
+      } else {
+        console.log("Signaling WebSocket unavailable. Using HTTP polling.");
+        this.#emitDiagnostic(null, "session", "polling");
+        this.#startPolling();
+      }
+      return { peerId: joinResult.peerId, role: joinResult.role, peers: joinResult.peers };
+    } catch (error) {
+      await this.hangUp();
+      throw error;
+    }
+  }
+
+  // Closes every connection and leaves the room. Safe to call more than once.
+  async hangUp() {
+    if (this.#state === "closed") {
+      return;
+    }
+    console.log("Hanging up session...");
+    this.#setState("closed"); // First, so timers and loops stop at their next run
+    if (this.#socket) {
+      const socket = this.#socket;
+      this.#socket = null; // Cleared first so onclose doesn't fall back to polling
+      socket.close();
+    }
+    for (const remotePeerId of [...this.#peers.keys()]) {
+      this.#removePeer(remotePeerId, "hangup");
+    }
+    this.#stopHeartbeat();
+    globalThis.removeEventListener("pagehide", this.#onPageHide);
+    if (this.#peerId) {
+      await this.#leaveRoom();
+    }
+    this.#token = null;
+    console.log("Session terminated.");
+  }
+
+  // Sends data on the message channel to one participant, a list of them, or (to null) everyone
+  // whose channel is open. Returns how many it was sent to.
+  send(data, to = null) {
+    const remotePeerIds = to === null ? this.openPeerIds() : [to].flat();
+    let sent = 0;
+    for (const remotePeerId of remotePeerIds) {
+      const channel = this.#peers.get(remotePeerId)?.channel;
+      if (channel && channel.readyState === "open") {
+        channel.send(data);
+        sent++;
+      }
+    }
+    return sent;
+  }
+
+  // Remote peer IDs whose message channel is open
+  openPeerIds() {
+    return [...this.#peers.entries()]
+      .filter(([, peer]) => peer.channel && peer.channel.readyState === "open")
+      .map(([remotePeerId]) => remotePeerId);
+  }
+
+  // Swaps what we send as our "audio" or "video" on every connection, e.g. for a shared screen
+  // or another camera, without renegotiating. Participants who join later get it too. Peers we
+  // send nothing of that kind to (audio-only or receive-only sessions) are left alone.
+  async replaceTrack(kind, track) {
+    this.#outgoingTracks[kind] = track;
+    for (const [remotePeerId, peer] of this.#peers) {
+      const sender = peer.senders[kind];
+      if (!sender) {
+        continue;
+      }
+      try {
+        await sender.replaceTrack(track);
+      } catch (error) {
+        console.error(`Error replacing ${kind} track for peer ${shortPeerId(remotePeerId)}:`, error);
+      }
+    }
+  }
+
+  authHeaders(headers = {}) {
+    return this.#token ? { ...headers, Authorization: `Bearer ${this.#token}` } : headers;
+  }
+
+  // The server only accepts signaling calls with a token for the room: a short-lived one to
+  // join with, then the one issued to us on join. Resolves to the room token.
+  async fetchRoomToken() {
+    const response = await fetch(
+      this.#url(`/api/rooms/${encodeURIComponent(this.#room)}/token`),
+      { method: "POST" },
+    );
+    if (!response.ok) {
+      console.error("Failed to get a join token:", response.status, await response.text());
+      throw new Error(`Could not get a join token for the room (${response.status}).`);
+    }
+    this.#token = (await response.json()).token;
+    return this.#token;
+  }
+
+  // --- Events ---
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  #setState(state) {
+    this.#state = state;
+    this.#emit("statechange", { state });
+  }
+
+  #emitDiagnostic(remotePeerId, kind, state) {
+    this.#emit("diagnostic", { peerId: remotePeerId, kind, state });
+  }
+
+  #emitError(message, remotePeerId = null) {
+    this.#emit("error", { message, peerId: remotePeerId });
+  }
+
+  #isActive() {
+    return this.#state === "active";
+  }
+
+  #url(path) {
+    return `${this.#signalingUrl}${path}`;
+  }
+
+  #signalUrl(query = "") {
+    return this.#url(`/signal?room=${encodeURIComponent(this.#room)}${query}`);
+  }
+
+  // --- ICE Servers ---
+  async #fetchIceServers() {
+    console.log(`Fetching ICE servers from ${this.#iceServersUrl}...`);
+    try {
+      const response = await fetch(this.#iceServersUrl);
+      if (!response.ok) {
+        console.error(
+          "Failed to fetch ICE servers from API:",
+          response.status,
+          await response.text(),
+        );
+        console.log("Using default fallback ICE configuration.");
+        return;
+      }
+      const servers = await response.json();
+      if (servers && servers.length > 0) {
+        this.#iceServers = servers;
+        console.log(
+          "Successfully fetched and updated ICE configuration:",
+          servers.map((server) => server.urls).join(", "),
+        );
+      } else {
+        console.warn("Fetched ICE servers list from API is empty, using default fallback.");
+      }
+    } catch (error) {
+      console.error("Error fetching ICE servers from API:", error);
+      console.log("Using default fallback ICE configuration due to error.");
+    }
+  }
+
+  // --- Room Roster ---
+  // Resolves to { peerId, role, peers, token }; throws with a user-facing reason if the server refuses
+  async #joinRoom(keyCheck) {
+    await this.fetchRoomToken();
+    const response = await fetch(this.#url(`/signal/join?room=${encodeURIComponent(this.#room)}`), {
+      method: "POST",
+      headers: this.authHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ keyCheck, broadcast: this.#broadcast }),
+    });
+    if (!response.ok) {
+      const reason = await response.text();
+      console.error("Failed to join room:", response.status, reason);
+      throw new Error(
+        response.status === 403 || response.status === 409
+          ? reason
+          : `Could not join the room (${response.status}).`,
+      );
+    }
+    const joinResult = await response.json();
+    this.#token = joinResult.token;
+    return joinResult;
+  }
+
+  #leaveRoomUrl() {
+    return this.#signalUrl(`&all=true&peer=${encodeURIComponent(this.#peerId)}`);
+  }
+
+  // Bulk cleanup: removes our roster entry and every signal addressed to or from us
+  async #leaveRoom() {
+    try {
+      const response = await fetch(this.#leaveRoomUrl(), {
+        method: "DELETE",
+        headers: this.authHeaders(),
+      });
+      if (!response.ok) {
+        console.error("Failed to leave room:", response.status, await response.text());
+      }
+    } catch (error) {
+      console.error("Error leaving room:", error);
+    }
+  }
+
+  // Best effort: leave the roster when the tab closes so others don't wait on us
+  #leaveOnPageHide() {
+    if (this.#isActive()) {
+      fetch(this.#leaveRoomUrl(), {
+        method: "DELETE",
+        headers: this.authHeaders(),
+        keepalive: true,
+      });
+    }
+  }
+
+  #startHeartbeat() {
+    this.#stopHeartbeat();
+    this.#heartbeatTimer = setInterval(async () => {
+      if (!this.#isActive()) {
+        return;
+      }
+      try {
+        const response = await fetch(
+          this.#url(
+            `/signal/heartbeat?room=${encodeURIComponent(this.#room)}&peer=${encodeURIComponent(this.#peerId)}`,
+          ),
+          { method: "POST", headers: this.authHeaders() },
+        );
+        if (!response.ok) {
+          console.warn("Heartbeat rejected by server:", response.status, await response.text());
+          return;
+        }
+        this.#token = (await response.json()).token; // Keeps our token from expiring mid-call
+      } catch (error) {
+        console.warn("Error sending heartbeat:", error);
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+  }
+
+  #stopHeartbeat() {
+    if (this.#heartbeatTimer !== null) {
+      clearInterval(this.#heartbeatTimer);
+      this.#heartbeatTimer = null;
+    }
+  }
+
+  async #getRoomPeers() {
+    try {
+      const response = await fetch(this.#signalUrl("&type=peers"), {
+        headers: this.authHeaders(),
+      });
+      if (response.ok) {
+        return await response.json();
+      }
+      console.error("Failed to fetch room roster:", response.status, await response.text());
+    } catch (error) {
+      console.error("Error fetching room roster:", error);
+    }
+    return null;
+  }
+
+  // Drops participants that are no longer on the room roster (used when polling)
+  async #syncWithRoster() {
+    const rosterPeers = await this.#getRoomPeers();
+    if (!rosterPeers) {
+      return;
+    }
+    for (const remotePeerId of [...this.#peers.keys()]) {
+      if (!rosterPeers.includes(remotePeerId)) {
+        console.log(`Peer ${shortPeerId(remotePeerId)} is no longer in the room.`);
+        this.#removePeer(remotePeerId, "left");
+      }
+    }
+  }
+
+  // --- Peer Connections ---
+  // Newcomers open a connection to every participant already in the room. Adding tracks and
+  // the message channel fires "negotiationneeded", which sends the first offer.
+  #callPeer(remotePeerId) {
+    console.log(`Calling peer ${shortPeerId(remotePeerId)}...`);
+    this.#createPeerConnection(remotePeerId, true);
+  }
+
+  // Perfect negotiation: either side may (re)negotiate at any time, e.g. for an ICE restart or
+  // a new track. When both send offers at once ("glare"), the impolite peer ignores the
+  // incoming offer and the polite peer rolls back its own. Politeness is decided by comparing
+  // peer IDs, so both sides agree. Offers carry a per-pair sequence number and answers echo
+  // the seq of the offer they answer.
+  #createPeerConnection(remotePeerId, isCaller) {
+    const configuration = { iceServers: this.#iceServers };
+    const peerConnection = new RTCPeerConnection(configuration);
+    console.log(
+      `Created RTCPeerConnection for peer ${shortPeerId(remotePeerId)} with configuration:`,
+      JSON.stringify(configuration),
+    );
+    const peer = {
+      peerConnection,
+      channel: null, // The message channel
+      remoteStream: null,
+      senders: { audio: null, video: null }, // RTCRtpSenders for our tracks, swapped with replaceTrack()
+      isCaller, // We created the connection, and with it the message channel
+      polite: this.#peerId < remotePeerId,
+      makingOffer: false,
+      ignoreOffer: false,
+      localOfferSeq: 0, // Seq of the latest offer we sent
+      lastRemoteOfferSeq: 0, // Seq of the latest offer we processed; older or repeated ones are dropped
+      isApplyingAnswer: false,
+      remoteUfrags: new Set(), // Every ICE username fragment the remote side has used
+      reconnectAttempts: 0,
+      reconnectTimer: null,
+    };
+    this.#peers.set(remotePeerId, peer);
+
+    peerConnection.onnegotiationneeded = async () => {
+      try {
+        peer.makingOffer = true;
+        const seq = ++peer.localOfferSeq;
+        await peerConnection.setLocalDescription();
+        if (peerConnection.localDescription.type !== "offer") {
+          return; // State changed underneath us (a remote offer arrived); no offer to send
+        }
+        console.log(`Negotiation needed with peer ${shortPeerId(remotePeerId)}. Sending offer #${seq}.`);
+        await this.#sendSignal("offer", remotePeerId, peerConnection.localDescription, seq);
+      } catch (error) {
+        console.error(`Error creating offer for peer ${shortPeerId(remotePeerId)}:`, error);
+        this.#emitError(`Error creating offer: ${error.message}`, remotePeerId);
+      } finally {
+        peer.makingOffer = false;
+      }
+    };
+
+    peerConnection.onicecandidate = (event) => {
+      if (event.candidate && event.candidate.candidate) {
+        console.log(`Local ICE candidate gathered for peer ${shortPeerId(remotePeerId)}:`, event.candidate.candidate.substring(0, 70) + "...");
+        this.#emit("icecandidate", { peerId: remotePeerId, side: "local", candidate: event.candidate });
+        this.#sendSignal("candidate", remotePeerId, event.candidate);
+      } else if (!event.candidate) {
+        console.log(`All local ICE candidates gathered for peer ${shortPeerId(remotePeerId)} (end-of-candidates signal).`);
+      } else {
+        console.log("Local ICE candidate gathered, but candidate string is empty. Not sending.", event.candidate);
+      }
+    };
+
+    // Typically a STUN/TURN server that can't be reached or rejects our credentials
+    peerConnection.onicecandidateerror = (event) => {
+      console.warn(`ICE candidate error with peer ${shortPeerId(remotePeerId)}: ${event.errorCode} ${event.errorText} (${event.url})`);
+      this.#emitError(`ICE candidate error ${event.errorCode} ${event.errorText} (${event.url})`, remotePeerId);
+    };
+
+    peerConnection.ontrack = (event) => {
+      console.log(`Remote track received from peer ${shortPeerId(remotePeerId)}:`, event.track.kind);
+      if (peer.remoteStream !== event.streams[0]) {
+        peer.remoteStream = event.streams[0];
+        this.#emit("remotestream", { peerId: remotePeerId, stream: peer.remoteStream });
+      }
+    };
+
+    peerConnection.oniceconnectionstatechange = () => {
+      const state = peerConnection.iceConnectionState;
+      console.log(`ICE connection state with peer ${shortPeerId(remotePeerId)} changed to:`, state);
+      this.#emitDiagnostic(remotePeerId, "ice", state);
+      if (state === "connected" || state === "completed") {
+        console.log("ICE connection established successfully!");
+        this.#markPeerReconnected(remotePeerId);
+      }
+      if (state === "disconnected") {
+        // Often recovers by itself (e.g. a brief Wi-Fi hiccup), so give it a moment first
+        console.warn(`ICE connection with peer ${shortPeerId(remotePeerId)} disconnected. Waiting ${DISCONNECT_GRACE_MS} ms before restarting ICE.`);
+        this.#emit("connectionstatechange", { peerId: remotePeerId, state: "reconnecting" });
+        if (peer.reconnectTimer === null) {
+          peer.reconnectTimer = setTimeout(() => this.#attemptIceRestart(remotePeerId), DISCONNECT_GRACE_MS);
+        }
+      }
+      if (state === "failed") {
+        console.error("ICE connection failed. Check STUN/TURN server and network. Restarting ICE.");
+        this.#emit("connectionstatechange", { peerId: remotePeerId, state: "reconnecting" });
+        clearTimeout(peer.reconnectTimer);
+        this.#attemptIceRestart(remotePeerId);
+      }
+      if (state === "closed") {
+        console.log("ICE connection closed.");
+      }
+    };
+
+    peerConnection.onsignalingstatechange = () => {
+      console.log(`Signaling state with peer ${shortPeerId(remotePeerId)} changed to:`, peerConnection.signalingState);
+      this.#emitDiagnostic(remotePeerId, "signaling", peerConnection.signalingState);
+    };
+
+    if (this.#localStream) {
+      for (const track of this.#localStream.getTracks()) {
+        // While a track is replaced (e.g. the camera by a shared screen), newcomers get the replacement
+        const outgoingTrack = this.#outgoingTracks[track.kind] ?? track;
+        console.log("Adding local track to PeerConnection:", outgoingTrack.kind);
+        peer.senders[track.kind] = peerConnection.addTrack(outgoingTrack, this.#localStream);
+      }
+    }
+    if (isCaller) {
+      // Audio-only or receive-only: our offer must still ask for the media we don't send
+      for (const kind of ["audio", "video"]) {
+        if (!peer.senders[kind]) {
+          console.log(`No local ${kind}. Adding a receive-only ${kind} transceiver.`);
+          peerConnection.addTransceiver(kind, { direction: "recvonly" });
+        }
+      }
+      console.log(`Caller creating data channel '${MESSAGE_CHANNEL_LABEL}' for peer ${shortPeerId(remotePeerId)}.`);
+      this.#setupMessageChannel(
+        peerConnection.createDataChannel(MESSAGE_CHANNEL_LABEL, { negotiated: false }),
+        remotePeerId,
+      );
+    } else {
+      // Callee sets up listener for when data channels are announced by the offer
+      peerConnection.ondatachannel = (event) => {
+        console.log(`Received dataChannel '${event.channel.label}' from peer ${shortPeerId(remotePeerId)}, initial readyState: ${event.channel.readyState}`);
+        if (event.channel.label === MESSAGE_CHANNEL_LABEL) {
+          this.#setupMessageChannel(event.channel, remotePeerId);
+        } else {
+          this.#emit("datachannel", { peerId: remotePeerId, channel: event.channel });
+        }
+      };
+    }
+
+    // Listeners run before the first offer is made, so channels they add are part of it
+    this.#emit("peerconnection", { peerId: remotePeerId, peerConnection, isCaller });
+    return peer;
+  }
+
+  #setupMessageChannel(channel, remotePeerId) {
+    const peer = this.#peers.get(remotePeerId);
+    peer.channel = channel;
+    channel.onopen = () => {
+      console.log(`Data channel '${channel.label}' with peer ${shortPeerId(remotePeerId)} is open.`);
+      this.#emit("channelopen", { peerId: remotePeerId });
+    };
+    channel.onclose = () => {
+      console.log(`Data channel '${channel.label}' with peer ${shortPeerId(remotePeerId)} is closed.`);
+      this.#emit("channelclose", { peerId: remotePeerId });
+    };
+    channel.onmessage = (event) => {
+      this.#emit("message", { peerId: remotePeerId, data: event.data });
+    };
+    channel.onerror = (error) => {
+      console.error(`Data channel '${channel.label}' with peer ${shortPeerId(remotePeerId)} ERROR:`, error);
+    };
+    if (channel.readyState === "open") {
+      console.warn(`Data channel '${channel.label}' was already open when event listeners were attached.`);
+      this.#emit("channelopen", { peerId: remotePeerId });
+    }
+  }
+
+  #removePeer(remotePeerId, reason) {
+    const peer = this.#peers.get(remotePeerId);
+    if (!peer) {
+      return;
+    }
+    console.log(`Removing peer ${shortPeerId(remotePeerId)}.`);
+    this.#peers.delete(remotePeerId);
+    clearTimeout(peer.reconnectTimer);
+    if (peer.channel) {
+      peer.channel.close();
+    }
+    peer.peerConnection.close();
+    if (peer.remoteStream) {
+      peer.remoteStream.getTracks().forEach((track) => track.stop());
+    }
+    this.#emit("peerleft", { peerId: remotePeerId, reason });
+  }
+
+  // --- ICE Restart and Reconnection ---
+  // Either side may restart ICE; restartIce() fires "negotiationneeded", and if both sides do
+  // it at once the collision is resolved like any other (see perfect negotiation above).
+  #attemptIceRestart(remotePeerId) {
+    const peer = this.#peers.get(remotePeerId);
+    if (!peer || !this.#isActive()) {
+      return;
+    }
+    peer.reconnectTimer = null;
+    if (isPeerConnected(peer)) {
+      return;
+    }
+    if (peer.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+      console.error(`Giving up on peer ${shortPeerId(remotePeerId)} after ${MAX_RECONNECT_ATTEMPTS} reconnection attempts.`);
+      this.#emitError(`Gave up after ${MAX_RECONNECT_ATTEMPTS} reconnection attempts`, remotePeerId);
+      this.#removePeer(remotePeerId, "failed");
+      return;
+    }
+    peer.reconnectAttempts++;
+    this.#emit("connectionstatechange", { peerId: remotePeerId, state: "reconnecting" });
+
+    console.log(`Restarting ICE with peer ${shortPeerId(remotePeerId)} (attempt ${peer.reconnectAttempts} of ${MAX_RECONNECT_ATTEMPTS})...`);
+    peer.peerConnection.restartIce();
+
+    peer.reconnectTimer = setTimeout(() => this.#attemptIceRestart(remotePeerId), RECONNECT_ATTEMPT_TIMEOUT_MS);
+  }
+
+  #markPeerReconnected(remotePeerId) {
+    const peer = this.#peers.get(remotePeerId);
+    if (!peer) {
+      return;
+    }
+    if (peer.reconnectAttempts > 0) {
+      console.log(`Reconnected to peer ${shortPeerId(remotePeerId)}.`);
+    }
+    clearTimeout(peer.reconnectTimer);
+    peer.reconnectTimer = null;
+    peer.reconnectAttempts = 0;
+    this.#emit("connectionstatechange", { peerId: remotePeerId, state: "connected" });
+  }
+
+  // --- Signaling ---
+  // seq is required for offers and answers (see perfect negotiation above)
+  async #sendSignal(type, to, payload, seq = undefined) {
+    const signal = { type, from: this.#peerId, to, seq, payload: await this.#sealSignal(to, payload) };
+    if (this.#isSignalingSocketOpen()) {
+      console.log(`Sending signal type: ${type} to peer ${shortPeerId(to)} over WebSocket`);
+      this.#socket.send(JSON.stringify(signal));
+      return;
+    }
+    await this.#postSignal(signal);
+  }
+
+  // A 429 (rate limit or too many pending candidates in the room) is retried after the
+  // server's Retry-After, a few times at most
+  async #postSignal(signal, attempt = 1) {
+    try {
+      console.log(`Sending signal type: ${signal.type} to peer ${shortPeerId(signal.to)} via /signal`);
+      const response = await fetch(this.#signalUrl(), {
+        method: "POST",
+        headers: this.authHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify(signal),
+      });
+      if (response.status === 429 && attempt < SIGNAL_SEND_MAX_ATTEMPTS) {
+        const retryAfter = Number(response.headers.get("Retry-After")) || 1;
+        console.warn(`Signal ${signal.type} rate limited, retrying in ${retryAfter}s`);
+        await new Promise((resolve) => setTimeout(resolve, retryAfter * 1000));
+        if (this.#isActive()) {
+          await this.#postSignal(signal, attempt + 1);
+        }
+        return;
+      }
+      if (!response.ok) {
+        console.error(
+          `Failed to send signal message ${signal.type}:`,
+          response.status,
+          await response.text(),
+        );
+      }
+    } catch (error) {
+      console.error(`Error sending signal message ${signal.type}:`, error);
+    }
+  }
+
+  // Returns every signal of this type addressed to us, as [{ from, seq, payload, key }]
+  async #getSignals(type) {
+    try {
+      const response = await fetch(
+        this.#signalUrl(`&type=${type}&peer=${encodeURIComponent(this.#peerId)}`),
+        { headers: this.authHeaders() },
+      );
+      if (response.ok) {
+        return await response.json();
+      }
+      console.error(
+        `Failed to get signal messages ${type} from server:`,
+        response.status,
+        await response.text(),
+      );
+    } catch (error) {
+      console.error(`Error fetching signal messages ${type} from server:`, error);
+    }
+    return [];
+  }
+
+  async #clearSignal(key) {
+    const keyString = JSON.stringify(key);
+    try {
+      // Deleting a specific signal by its full Deno KV key
+      const response = await fetch(this.#signalUrl(`&key=${encodeURIComponent(keyString)}`), {
+        method: "DELETE",
+        headers: this.authHeaders(),
+      });
+      if (!response.ok && response.status !== 404) {
+        console.error(
+          `Failed to clear signal message on server: ${keyString}`,
+          response.status,
+          await response.text(),
+        );
+      }
+    } catch (error) {
+      console.error(`Error clearing signal message ${keyString} on server:`, error);
+    }
+  }
+
+  // Handles offers (the first one from a newcomer, or any renegotiation) and answers. One peer's
+  // bad or stale description must not end the whole session, so a failure is reported and its
+  // signal dropped instead of being thrown (and refetched on every poll).
+  async #handleRemoteDescription(signal) {
+    try {
+      await this.#applyRemoteDescription(signal);
+    } catch (error) {
+      console.error(`Could not apply a description from peer ${shortPeerId(signal.from)}:`, error);
+      this.#emitError(`Could not apply a description: ${error.message}`, signal.from);
+      await this.#clearSignal(signal.key);
+    }
+  }
+
+  async #applyRemoteDescription(signal) {
+    const remotePeerId = signal.from;
+    const opened = await this.#openSignal(signal);
+    if (!opened) {
+      await this.#clearSignal(signal.key); // Undecryptable; openSignal has said why
+      return;
+    }
+    const description = opened.payload;
+    let peer = this.#peers.get(remotePeerId);
+
+    if (description.type === "offer") {
+      if (peer && signal.seq <= peer.lastRemoteOfferSeq) {
+        console.log(`Ignoring repeated or outdated offer #${signal.seq} from peer ${shortPeerId(remotePeerId)}.`);
+        await this.#clearSignal(signal.key);
+        return;
+      }
+      if (!peer) {
+        peer = this.#createPeerConnection(remotePeerId, false);
+      }
+      peer.lastRemoteOfferSeq = signal.seq; // Set before any await, so a concurrent duplicate is ignored
+    } else {
+      if (!peer) {
+        await this.#clearSignal(signal.key); // From a peer that has left
+        return;
+      }
+      if (peer.isApplyingAnswer) {
+        return; // Socket push and HTTP catch-up can deliver the same answer concurrently
+      }
+      if (
+        signal.seq !== peer.localOfferSeq ||
+        peer.peerConnection.signalingState !== "have-local-offer"
+      ) {
+        console.log(`Ignoring answer #${signal.seq} from peer ${shortPeerId(remotePeerId)}: it answers an offer we replaced or already settled.`);
+        await this.#clearSignal(signal.key);
+        return;
+      }
+      peer.isApplyingAnswer = true;
+    }
+
+    const peerConnection = peer.peerConnection;
+    try {
+      const offerCollision = description.type === "offer" &&
+        (peer.makingOffer || peerConnection.signalingState !== "stable");
+      peer.ignoreOffer = !peer.polite && offerCollision;
+      if (peer.ignoreOffer) {
+        console.log(`Offer collision with peer ${shortPeerId(remotePeerId)}: we are impolite, ignoring their offer.`);
+        await this.#clearSignal(signal.key);
+        return;
+      }
+
+      console.log(`Applying ${description.type} #${signal.seq} from peer ${shortPeerId(remotePeerId)}${offerCollision ? " (rolling back our own offer)" : ""}.`);
+      const ufrag = iceUfragOf(description.sdp);
+      if (ufrag) {
+        peer.remoteUfrags.add(ufrag);
+      }
+      await peerConnection.setRemoteDescription(description); // Implicit rollback on collision
+      if (description.type === "offer") {
+        await peerConnection.setLocalDescription();
+        await this.#sendSignal("answer", remotePeerId, peerConnection.localDescription, signal.seq);
+        console.log(`Sent answer #${signal.seq} to peer ${shortPeerId(remotePeerId)}.`);
+      }
+      await this.#clearSignal(signal.key);
+    } finally {
+      peer.isApplyingAnswer = false;
+    }
+  }
+
+  // Returns false if the candidate can't be applied yet and should stay on the server
+  async #handleRemoteCandidate(candidateSignal) {
+    const remotePeerId = candidateSignal.from;
+    const peer = this.#peers.get(remotePeerId);
+    if (!peer || !peer.peerConnection.remoteDescription) {
+      return false;
+    }
+    const opened = await this.#openSignal(candidateSignal);
+    if (!opened) {
+      await this.#clearSignal(candidateSignal.key);
+      return true;
+    }
+    const candidate = opened.payload;
+    if (candidate && candidate.candidate) {
+      // After an ICE restart, candidates are tied to a username fragment: a newer one than the
+      // current remote description waits on the server, an older one is simply discarded.
+      const ufrag = candidate.usernameFragment;
+      const currentUfrag = iceUfragOf(peer.peerConnection.remoteDescription.sdp);
+      if (ufrag && currentUfrag && ufrag !== currentUfrag) {
+        if (!peer.remoteUfrags.has(ufrag)) {
+          return false;
+        }
+        console.log(`Discarding stale ICE candidate from peer ${shortPeerId(remotePeerId)} (pre-restart).`);
+      } else {
+        console.log(`Adding remote ICE candidate from peer ${shortPeerId(remotePeerId)}:`, candidate.candidate.substring(0, 70) + "...");
+        try {
+          await peer.peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+          this.#emit("icecandidate", { peerId: remotePeerId, side: "remote", candidate });
+        } catch (error) {
+          if (!peer.ignoreOffer) { // Candidates for an offer we ignored are expected to fail
+            console.warn(`Could not add ICE candidate from peer ${shortPeerId(remotePeerId)}:`, error);
+          }
+        }
+      }
+    } else {
+      console.warn("Received candidate signal, but payload or candidate string is empty. Skipping.", candidateSignal);
+    }
+    await this.#clearSignal(candidateSignal.key);
+    return true;
+  }
+
+  // One pass over everything waiting for us on the server: offers, answers, then candidates
+  async #processPendingSignals() {
+    if (!this.#isActive()) {
+      return;
+    }
+    for (const offerSignal of await this.#getSignals("offer")) {
+      await this.#handleRemoteDescription(offerSignal);
+    }
+    for (const answerSignal of await this.#getSignals("answer")) {
+      await this.#handleRemoteDescription(answerSignal);
+    }
+    for (const candidateSignal of await this.#getSignals("candidate")) {
+      await this.#handleRemoteCandidate(candidateSignal);
+    }
+  }
+
+  // --- WebSocket Signaling (HTTP polling below is the fallback) ---
+  #isSignalingSocketOpen() {
+    return this.#socket !== null && this.#socket.readyState === WebSocket.OPEN;
+  }
+
+  // Resolves true once the socket is open, false if it can't connect in time
+  #connectSignalingSocket() {
+    return new Promise((resolve) => {
+      const socketPath = `/ws?room=${encodeURIComponent(this.#room)}&peer=${encodeURIComponent(this.#peerId)}`;
+      const baseUrl = this.#signalingUrl.replace(/^http/, "ws");
+      console.log(`Connecting signaling WebSocket to ${baseUrl}${socketPath}...`);
+      // Browsers can't set headers on a WebSocket, so the token goes in the URL (and not in the log)
+      const socketUrl = `${baseUrl}${socketPath}&token=${encodeURIComponent(this.#token)}`;
+      let socket;
+      try {
+        socket = new WebSocket(socketUrl);
+      } catch (error) {
+        console.warn("Could not create signaling WebSocket:", error);
+        resolve(false);
+        return;
+      }
+
+      const timeoutId = setTimeout(() => {
+        console.warn("Signaling WebSocket did not open in time.");
+        socket.close();
+        resolve(false);
+      }, SIGNALING_SOCKET_TIMEOUT_MS);
+
+      socket.onopen = () => {
+        clearTimeout(timeoutId);
+        if (!this.#isActive()) {
+          socket.close(); // Hung up while connecting
+          resolve(false);
+          return;
+        }
+        this.#socket = socket;
+        console.log("Signaling WebSocket connected.");
+        this.#emitDiagnostic(null, "session", "websocket connected");
+        resolve(true);
+      };
+      socket.onmessage = (event) => {
+        this.#handleSocketMessage(event.data);
+      };
+      socket.onerror = (error) => {
+        console.warn("Signaling WebSocket error:", error);
+      };
+      socket.onclose = () => {
+        clearTimeout(timeoutId);
+        resolve(false); // No-op if it already opened
+        if (this.#socket !== socket) {
+          return; // Never opened, or closed deliberately by hangUp()
+        }
+        this.#socket = null;
+        console.log("Signaling WebSocket closed. Falling back to HTTP polling.");
+        this.#emitDiagnostic(null, "session", "websocket closed, polling");
+        this.#startPolling();
+        setTimeout(() => this.#reconnectSignalingSocket(), SIGNALING_SOCKET_RETRY_MS);
+      };
+    });
+  }
+
+  // After the socket drops (e.g. a network change), keep trying to get push delivery back
+  async #reconnectSignalingSocket() {
+    if (!this.#isActive() || this.#isSignalingSocketOpen()) {
+      return;
+    }
+    if (await this.#connectSignalingSocket()) {
+      await this.#processPendingSignals(); // Catch up on anything that arrived while we were polling
+    } else if (this.#isActive()) {
+      setTimeout(() => this.#reconnectSignalingSocket(), SIGNALING_SOCKET_RETRY_MS);
+    }
+  }
+
+  async #handleSocketMessage(data) {
+    let signal;
+    try {
+      signal = JSON.parse(data);
+    } catch (_e) {
+      console.warn("Ignoring non-JSON message from signaling WebSocket:", data);
+      return;
+    }
+    if (signal.type === "error") {
+      console.error("Signaling server reported an error:", signal.status, signal.message);
+      if (signal.status === 429 && signal.signal && this.#isActive()) {
+        // Rate limited; resend over HTTP, which retries on its own if still limited
+        setTimeout(() => {
+          if (this.#isActive()) {
+            this.#postSignal(signal.signal, 2);
+          }
+        }, (signal.retryAfter || 1) * 1000);
+      }
+      return;
+    }
+    if (!this.#isActive()) {
+      return;
+    }
+
+    try {
+      if (signal.type === "peer-joined") {
+        console.log(`Peer ${shortPeerId(signal.peerId)} joined the room. Waiting for their offer.`);
+      } else if (signal.type === "peer-left") {
+        console.log(`Peer ${shortPeerId(signal.peerId)} left the room.`);
+        this.#removePeer(signal.peerId, "left");
+      } else if (signal.type === "offer" || signal.type === "answer") {
+        await this.#handleRemoteDescription(signal);
+        await this.#processPendingSignals(); // Pick up candidates that arrived before the description was applied
+      } else if (signal.type === "candidate") {
+        if (!(await this.#handleRemoteCandidate(signal))) {
+          console.log("Pushed candidate arrived before the remote description; it stays on the server until then.");
+        }
+      }
+    } catch (error) {
+      console.error("Error handling signal pushed over WebSocket:", error);
+    }
+  }
+
+  // --- HTTP Polling (fallback when the WebSocket is unavailable) ---
+  // Polling never stops while the session is active, since new participants can join at any time.
+  #startPolling() {
+    if (!this.#isPolling) {
+      this.#isPolling = true;
+      this.#pollForSignals();
+    }
+  }
+
+  async #pollForSignals() {
+    if (!this.#isActive()) {
+      this.#isPolling = false;
+      return;
+    }
+    if (this.#isSignalingSocketOpen()) {
+      console.log("Signaling WebSocket is open. Stopping HTTP polling.");
+      this.#isPolling = false;
+      return;
+    }
+
+    try {
+      await this.#processPendingSignals();
+      await this.#syncWithRoster();
+    } catch (error) {
+      console.error("Error polling for signal messages:", error);
+    }
+
+    setTimeout(() => this.#pollForSignals(), POLL_INTERVAL_MS); // Stops itself on the next run if no longer needed
+  }
+}
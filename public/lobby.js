@@ -0,0 +1,59 @@
+// DOM Elements
+const joinRoomForm = document.getElementById("joinRoomForm");
+const roomInput = document.getElementById("roomInput");
+const roomList = document.getElementById("roomList");
+const roomListStatus = document.getElementById("roomListStatus");
+
+const ROOM_LIST_REFRESH_MS = 5000;
+
+// Broadcasts are opened as a viewer; the presenter has their own link
+function roomUrl(room, broadcast = false) {
+  return `/r/${encodeURIComponent(room)}${broadcast ? "?broadcast=viewer" : ""}`;
+}
+
+joinRoomForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const room = roomInput.value.trim();
+  if (room) {
+    location.href = roomUrl(room);
+  }
+});
+
+// --- Rooms that currently have participants ---
+async function refreshRoomList() {
+  try {
+    const response = await fetch("/api/rooms");
+    if (!response.ok) {
+      console.error(
+        "Failed to fetch room list:",
+        response.status,
+        await response.text(),
+      );
+      roomListStatus.textContent = "Could not load rooms.";
+      return;
+    }
+    const rooms = await response.json();
+    roomList.replaceChildren(
+      ...rooms.map(({ room, participants, broadcast }) => {
+        const li = document.createElement("li");
+        const link = document.createElement("a");
+        link.href = roomUrl(room, broadcast);
+        link.textContent = room;
+        li.append(
+          link,
+          ` (${broadcast ? "broadcast, " : ""}${participants} ${participants === 1 ? "participant" : "participants"})`,
+        );
+        return li;
+      }),
+    );
+    roomListStatus.textContent = rooms.length === 0
+      ? "No one is in a room right now."
+      : "";
+  } catch (error) {
+    console.error("Error fetching room list:", error);
+    roomListStatus.textContent = "Could not load rooms.";
+  }
+}
+
+refreshRoomList();
+setInterval(refreshRoomList, ROOM_LIST_REFRESH_MS);
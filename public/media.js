@@ -0,0 +1,248 @@
+// --- Media Devices and Controls ---
+// Camera, microphone and speaker pickers are filled from enumerateDevices(); browsers only
+// reveal device names once the page has been given access, so the lists are refreshed after
+// capture starts. Switching camera or microphone mid-call swaps the track on each peer's
+// existing sender with the session's replaceTrack(), so nothing is renegotiated. Muting and
+// turning the camera off just disable the track.
+//
+// If capture fails, the session falls back to audio only and then to receive-only, so people
+// without a camera (or who denied access) can still join, watch and chat.
+import {
+  isSessionActive,
+  localStream,
+  localVideo,
+  screenStream,
+  session,
+  videoGrid,
+} from "./client.js";
+import { displayChatMessage } from "./chat.js";
+import { recordDiagnosticEvent } from "./diagnostics.js";
+
+const cameraSelect = document.getElementById("cameraSelect");
+const microphoneSelect = document.getElementById("microphoneSelect");
+const speakerSelect = document.getElementById("speakerSelect");
+const muteButton = document.getElementById("muteButton");
+const cameraButton = document.getElementById("cameraButton");
+const mediaStatus = document.getElementById("mediaStatus");
+
+const DEVICE_STORAGE_KEY = "lanchu.devices"; // { camera, microphone, speaker } device IDs
+const supportsSpeakerSelection = "setSinkId" in HTMLMediaElement.prototype;
+
+let isMuted = false;
+let isCameraOff = false;
+
+function loadDevicePreferences() {
+  try {
+    return JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY)) || {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+function saveDevicePreferences() {
+  localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify({
+    camera: cameraSelect.value,
+    microphone: microphoneSelect.value,
+    speaker: speakerSelect.value,
+  }));
+}
+
+// The first option, "Default", has an empty value and leaves the choice to the browser
+function fillDeviceSelect(select, devices, kind, fallbackLabel, preferredId) {
+  const current = select.value || preferredId || "";
+  const matching = devices.filter((device) => device.kind === kind && device.deviceId);
+  const defaultOption = document.createElement("option");
+  defaultOption.value = "";
+  defaultOption.textContent = "Default";
+  select.replaceChildren(defaultOption, ...matching.map((device, index) => {
+    const option = document.createElement("option");
+    option.value = device.deviceId;
+    option.textContent = device.label || `${fallbackLabel} ${index + 1}`;
+    return option;
+  }));
+  select.value = matching.some((device) => device.deviceId === current) ? current : "";
+}
+
+async function populateDeviceSelects() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return; // Insecure context (plain http other than localhost)
+  }
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const preferences = loadDevicePreferences();
+    fillDeviceSelect(cameraSelect, devices, "videoinput", "Camera", preferences.camera);
+    fillDeviceSelect(microphoneSelect, devices, "audioinput", "Microphone", preferences.microphone);
+    fillDeviceSelect(speakerSelect, devices, "audiooutput", "Speaker", preferences.speaker);
+  } catch (error) {
+    console.warn("Could not list media devices:", error);
+  }
+}
+
+function captureConstraint(deviceId) {
+  return deviceId ? { deviceId: { ideal: deviceId } } : true;
+}
+
+// Resolves to the local stream: camera and microphone, microphone only, or (receive-only) an
+// empty stream. Never throws, so a missing camera doesn't end the session.
+export async function acquireLocalStream() {
+  const audio = captureConstraint(microphoneSelect.value);
+  const video = captureConstraint(cameraSelect.value);
+  let stream;
+  let notice = null;
+  let mode = "camera and microphone";
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio, video });
+  } catch (error) {
+    console.warn("Could not get camera and microphone:", error);
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio });
+      mode = "audio only";
+      notice = `Could not use a camera (${error.name}). Joined with audio only.`;
+    } catch (audioError) {
+      console.warn("Could not get a microphone either:", audioError);
+      stream = new MediaStream();
+      mode = "receive-only";
+      notice = `Could not use your camera or microphone (${audioError.name}). ` +
+        "Joined receive-only: you can still see, hear and chat with others.";
+    }
+  }
+  console.log(`Local media: ${mode}.`);
+  recordDiagnosticEvent(null, "session", `media: ${mode}`);
+  if (notice) {
+    displayChatMessage("System", notice);
+  }
+  mediaStatus.textContent = notice || "";
+
+  isMuted = false;
+  isCameraOff = false;
+  await populateDeviceSelects(); // Device names are available now that access was granted
+  showCapturedDevice(cameraSelect, stream.getVideoTracks()[0]);
+  showCapturedDevice(microphoneSelect, stream.getAudioTracks()[0]);
+  updateMediaControls(stream);
+  return stream;
+}
+
+// With "Default" selected, show which device the browser actually picked
+function showCapturedDevice(select, track) {
+  const deviceId = track ? track.getSettings().deviceId : null;
+  if (!select.value && deviceId && [...select.options].some((option) => option.value === deviceId)) {
+    select.value = deviceId;
+  }
+}
+
+function updateMediaControls(stream = localStream) {
+  const hasAudio = stream ? stream.getAudioTracks().length > 0 : false;
+  const hasVideo = stream ? stream.getVideoTracks().length > 0 : false;
+  muteButton.disabled = !hasAudio;
+  cameraButton.disabled = !hasVideo;
+  muteButton.textContent = isMuted ? "Unmute" : "Mute";
+  cameraButton.textContent = isCameraOff ? "Start Camera" : "Stop Camera";
+  muteButton.classList.toggle("active", isMuted);
+  cameraButton.classList.toggle("active", isCameraOff);
+}
+
+export function resetMediaControls() {
+  isMuted = false;
+  isCameraOff = false;
+  mediaStatus.textContent = "";
+  updateMediaControls(null);
+}
+
+function toggleMute() {
+  isMuted = !isMuted;
+  for (const track of localStream ? localStream.getAudioTracks() : []) {
+    track.enabled = !isMuted;
+  }
+  console.log(isMuted ? "Microphone muted." : "Microphone unmuted.");
+  updateMediaControls();
+}
+
+// A disabled video track sends black frames, so the connection and its sender stay as they are
+function toggleCamera() {
+  isCameraOff = !isCameraOff;
+  for (const track of localStream ? localStream.getVideoTracks() : []) {
+    track.enabled = !isCameraOff;
+  }
+  console.log(isCameraOff ? "Camera turned off." : "Camera turned on.");
+  updateMediaControls();
+}
+
+// Swaps our camera or microphone for the selected device during a call. Outside a call, or
+// without a track of that kind to replace (audio-only or receive-only), the choice is just
+// remembered for the next session, since adding a track would need renegotiation.
+async function switchLocalDevice(kind, deviceId) {
+  const oldTrack = localStream
+    ? (kind === "audio" ? localStream.getAudioTracks() : localStream.getVideoTracks())[0]
+    : null;
+  if (!isSessionActive() || !oldTrack) {
+    return;
+  }
+  const deviceName = kind === "audio" ? "microphone" : "camera";
+  let newTrack;
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({
+      [kind]: deviceId ? { deviceId: { exact: deviceId } } : true,
+    });
+    newTrack = stream.getTracks()[0];
+  } catch (error) {
+    console.error(`Could not switch ${deviceName}:`, error);
+    mediaStatus.textContent = `Could not switch ${deviceName} (${error.name}).`;
+    return;
+  }
+  newTrack.enabled = kind === "audio" ? !isMuted : !isCameraOff;
+  localStream.removeTrack(oldTrack);
+  localStream.addTrack(newTrack);
+  oldTrack.stop();
+  mediaStatus.textContent = "";
+
+  if (kind === "audio" || !screenStream) { // While sharing, the new camera is swapped in when sharing stops
+    await session.replaceTrack(kind, newTrack);
+  }
+  if (!screenStream) {
+    localVideo.srcObject = localStream;
+  }
+  console.log(`Switched ${deviceName} to '${newTrack.label}'.`);
+}
+
+// Applied to every remote video element, including ones created later
+export function applySpeakerSelection(mediaElement) {
+  if (!supportsSpeakerSelection) {
+    return;
+  }
+  mediaElement.setSinkId(speakerSelect.value).catch((error) => {
+    console.warn("Could not switch speaker:", error);
+  });
+}
+
+function switchSpeaker() {
+  for (const video of videoGrid.querySelectorAll("video")) {
+    if (video !== localVideo) {
+      applySpeakerSelection(video);
+    }
+  }
+}
+
+muteButton.addEventListener("click", toggleMute);
+cameraButton.addEventListener("click", toggleCamera);
+cameraSelect.addEventListener("change", () => {
+  saveDevicePreferences();
+  switchLocalDevice("video", cameraSelect.value);
+});
+microphoneSelect.addEventListener("change", () => {
+  saveDevicePreferences();
+  switchLocalDevice("audio", microphoneSelect.value);
+});
+speakerSelect.addEventListener("change", () => {
+  saveDevicePreferences();
+  switchSpeaker();
+});
+if (navigator.mediaDevices) {
+  navigator.mediaDevices.addEventListener("devicechange", populateDeviceSelects);
+}
+
+// Initial UI state
+if (!supportsSpeakerSelection) {
+  speakerSelect.closest("label").hidden = true; // e.g. Safari and older Firefox
+}
+updateMediaControls(null);
+populateDeviceSelects();
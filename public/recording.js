@@ -0,0 +1,256 @@
+// --- Call Recording ---
+// Records the call locally to WebM: every video in the grid (ours and each remote
+// participant's) is drawn side by side onto a canvas, and all audio is mixed with WebAudio.
+// MediaRecorder records the canvas stream plus the mixed audio. Nothing is uploaded; a download
+// link appears when recording stops.
+//
+// Everyone in the call is told over the chat channel ({ type: "recording", active }), and a
+// "Recording" badge shows on the recording participant's video on every screen.
+import { shortPeerId } from "./lanchu.js";
+import { ROOM_ID } from "./room.js";
+import { isSessionActive, localStream, localVideo, peers, videoGrid } from "./client.js";
+import { broadcastChatEnvelope, createChatEnvelope, displayChatMessage } from "./chat.js";
+
+const RECORDING_WIDTH = 1280;
+const RECORDING_HEIGHT = 720;
+const RECORDING_FPS = 30;
+const RECORDING_TIMESLICE_MS = 1000; // Hand over data every second, so a crash loses little
+const RECORDING_MIME_TYPES = [
+  "video/webm;codecs=vp9,opus",
+  "video/webm;codecs=vp8,opus",
+  "video/webm",
+];
+
+const recordButton = document.getElementById("recordButton");
+const recordingStatus = document.getElementById("recordingStatus");
+const recordingDownloadLink = document.getElementById("recordingDownloadLink");
+
+let recording = null; // { recorder, chunks, canvas, drawTimer, audioContext, destination, audioSources, startedAt, elapsedTimer }
+
+export function isRecording() {
+  return recording !== null;
+}
+
+export function recordingEnvelope() {
+  return createChatEnvelope("recording", { active: isRecording() });
+}
+
+function formatElapsed(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, "0");
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
+function pickRecordingMimeType() {
+  return RECORDING_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+}
+
+async function startRecording() {
+  if (isRecording() || !isSessionActive()) {
+    return;
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = RECORDING_WIDTH;
+  canvas.height = RECORDING_HEIGHT;
+  const audioContext = new AudioContext();
+  await audioContext.resume(); // Started from a click, so this is allowed
+  const destination = audioContext.createMediaStreamDestination();
+  const stream = new MediaStream([
+    ...canvas.captureStream(RECORDING_FPS).getVideoTracks(),
+    ...destination.stream.getAudioTracks(),
+  ]);
+
+  const mimeType = pickRecordingMimeType();
+  let recorder;
+  try {
+    recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+  } catch (error) {
+    console.error("Could not start MediaRecorder:", error);
+    audioContext.close();
+    recordingStatus.textContent = `Recording failed: ${error.message}`;
+    return;
+  }
+
+  recording = {
+    recorder,
+    chunks: [],
+    canvas,
+    drawTimer: null,
+    audioContext,
+    destination,
+    audioSources: new Map(), // Audio track ID -> { track, source }
+    startedAt: Date.now(),
+    elapsedTimer: null,
+  };
+  const thisRecording = recording;
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) {
+      thisRecording.chunks.push(event.data);
+    }
+  };
+  recorder.onstop = () => finishRecording(thisRecording);
+  recorder.onerror = (event) => {
+    console.error("MediaRecorder error:", event.error);
+    stopRecording();
+  };
+
+  // A timer rather than requestAnimationFrame, which stops while the tab is in the background
+  drawRecordingFrame();
+  recording.drawTimer = setInterval(drawRecordingFrame, 1000 / RECORDING_FPS);
+  recording.elapsedTimer = setInterval(updateRecordingStatus, 1000);
+  recorder.start(RECORDING_TIMESLICE_MS);
+  console.log(`Started recording (${recorder.mimeType || "default format"}).`);
+
+  revokeRecordingDownload();
+  updateRecordingStatus();
+  setRecordingBadge(localVideo.closest(".video-box"), true);
+  broadcastChatEnvelope(recordingEnvelope());
+  displayChatMessage("System", "You started recording this call.");
+}
+
+export function stopRecording() {
+  if (!isRecording()) {
+    return;
+  }
+  const stoppedRecording = recording;
+  recording = null;
+  clearInterval(stoppedRecording.drawTimer);
+  clearInterval(stoppedRecording.elapsedTimer);
+  stoppedRecording.recorder.stop(); // finishRecording() runs once the last data is in
+  console.log("Stopped recording.");
+
+  updateRecordingStatus();
+  setRecordingBadge(localVideo.closest(".video-box"), false);
+  broadcastChatEnvelope(recordingEnvelope());
+  displayChatMessage("System", "You stopped recording this call.");
+}
+
+function finishRecording(finishedRecording) {
+  finishedRecording.audioContext.close();
+  const type = finishedRecording.recorder.mimeType || "video/webm";
+  const blob = new Blob(finishedRecording.chunks, { type });
+  const elapsed = formatElapsed(Date.now() - finishedRecording.startedAt);
+  const fileTime = new Date(finishedRecording.startedAt).toISOString().replace(/[:.]/g, "-");
+  revokeRecordingDownload();
+  recordingDownloadLink.href = URL.createObjectURL(blob);
+  recordingDownloadLink.download = `recording-${ROOM_ID}-${fileTime}.webm`;
+  recordingDownloadLink.textContent =
+    `Download recording (${elapsed}, ${(blob.size / (1024 * 1024)).toFixed(1)} MB)`;
+  recordingDownloadLink.hidden = false;
+  console.log(`Recording ready: ${blob.size} bytes.`);
+}
+
+function revokeRecordingDownload() {
+  if (recordingDownloadLink.href) {
+    URL.revokeObjectURL(recordingDownloadLink.href);
+  }
+  recordingDownloadLink.removeAttribute("href");
+  recordingDownloadLink.hidden = true;
+}
+
+// --- Compositing ---
+// Every video box in the grid gets an equal tile, in grid order; two participants end up side
+// by side. Each video is scaled to fit its tile without cropping.
+function drawRecordingFrame() {
+  if (!recording) {
+    return;
+  }
+  syncRecordingAudio();
+  const context = recording.canvas.getContext("2d");
+  context.fillStyle = "#000";
+  context.fillRect(0, 0, RECORDING_WIDTH, RECORDING_HEIGHT);
+
+  const boxes = [...videoGrid.querySelectorAll(".video-box")];
+  const columns = Math.ceil(Math.sqrt(boxes.length));
+  const rows = Math.ceil(boxes.length / columns);
+  const tileWidth = RECORDING_WIDTH / columns;
+  const tileHeight = RECORDING_HEIGHT / rows;
+  boxes.forEach((box, index) => {
+    const x = (index % columns) * tileWidth;
+    const y = Math.floor(index / columns) * tileHeight;
+    const video = box.querySelector("video");
+    if (video.videoWidth > 0) {
+      const scale = Math.min(tileWidth / video.videoWidth, tileHeight / video.videoHeight);
+      const width = video.videoWidth * scale;
+      const height = video.videoHeight * scale;
+      context.drawImage(video, x + (tileWidth - width) / 2, y + (tileHeight - height) / 2, width, height);
+    }
+    context.fillStyle = "rgba(0, 0, 0, 0.5)";
+    context.fillRect(x, y + tileHeight - 28, tileWidth, 28);
+    context.fillStyle = "#fff";
+    context.font = "16px sans-serif";
+    context.fillText(box.querySelector("h2").textContent, x + 8, y + tileHeight - 9);
+  });
+}
+
+// Connects every live audio track (our microphone and each remote participant) to the mix, and
+// drops ones that ended. Runs with every frame, so participants and microphones that change
+// during the recording are picked up.
+function syncRecordingAudio() {
+  const streams = [localStream, ...[...peers.values()].map((peer) => peer.remoteStream)];
+  const liveTracks = new Set();
+  for (const stream of streams) {
+    for (const track of stream ? stream.getAudioTracks() : []) {
+      if (track.readyState !== "live") {
+        continue;
+      }
+      liveTracks.add(track.id);
+      if (!recording.audioSources.has(track.id)) {
+        const source = recording.audioContext.createMediaStreamSource(new MediaStream([track]));
+        source.connect(recording.destination);
+        recording.audioSources.set(track.id, { track, source });
+      }
+    }
+  }
+  for (const [trackId, { source }] of recording.audioSources) {
+    if (!liveTracks.has(trackId)) {
+      source.disconnect();
+      recording.audioSources.delete(trackId);
+    }
+  }
+}
+
+// --- UI ---
+function updateRecordingStatus() {
+  recordButton.textContent = isRecording() ? "Stop Recording" : "Record";
+  recordButton.classList.toggle("active", isRecording());
+  recordingStatus.textContent = isRecording()
+    ? `● REC ${formatElapsed(Date.now() - recording.startedAt)}`
+    : "";
+}
+
+function setRecordingBadge(videoBox, isActive) {
+  if (videoBox) {
+    videoBox.classList.toggle("recording", isActive);
+  }
+}
+
+// A remote participant started or stopped recording
+export function setRemoteRecording(remotePeerId, isActive, senderName) {
+  const peer = peers.get(remotePeerId);
+  if (!peer) {
+    return;
+  }
+  const wasActive = peer.videoBox.classList.contains("recording");
+  setRecordingBadge(peer.videoBox, isActive);
+  if (wasActive !== isActive) {
+    console.log(`Peer ${shortPeerId(remotePeerId)} ${isActive ? "started" : "stopped"} recording.`);
+    displayChatMessage("System", `${senderName} ${isActive ? "started" : "stopped"} recording this call.`);
+  }
+}
+
+export function updateRecordButtonAvailability() {
+  recordButton.disabled = !isSessionActive() || typeof MediaRecorder === "undefined";
+}
+
+recordButton.addEventListener("click", () => {
+  if (isRecording()) {
+    stopRecording();
+  } else {
+    startRecording();
+  }
+});
+
+// Initial UI state
+recordButton.disabled = true;
@@ -0,0 +1,23 @@
+// --- Room and broadcast role from the page URL ---
+// Read once, when the page loads. Kept apart from client.js so every call page module can
+// import them, including while client.js itself is still being loaded.
+const DEFAULT_ROOM_ID = "default-room";
+
+// Room for Deno KV signaling, taken from /r/<id> or ?room=<id>
+export const ROOM_ID = getRoomIdFromUrl();
+// "presenter" or "viewer" from ?broadcast=, or null for an ordinary call
+export const BROADCAST_ROLE = getBroadcastRoleFromUrl();
+
+function getRoomIdFromUrl() {
+  const pathMatch = location.pathname.match(/^\/r\/([^/]+)\/?$/);
+  if (pathMatch) {
+    return decodeURIComponent(pathMatch[1]);
+  }
+  return new URLSearchParams(location.search).get("room") ||
+    DEFAULT_ROOM_ID;
+}
+
+function getBroadcastRoleFromUrl() {
+  const role = new URLSearchParams(location.search).get("broadcast");
+  return role === "presenter" || role === "viewer" ? role : null;
+}
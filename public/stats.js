@@ -0,0 +1,280 @@
+// --- Call Quality Statistics ---
+// Once a second during a call, every peer connection's getStats() report is boiled down to one
+// sample per peer: the selected candidate pair, RTT, jitter, packet loss, bitrate in each
+// direction, resolution, framerate and codecs. Samples are collected whether or not the panel
+// is open, so a trace can be downloaded after a bad call. They are kept until the next session.
+import { shortPeerId } from "./lanchu.js";
+import { ROOM_ID } from "./room.js";
+import { isSessionActive, localPeerId, peers } from "./client.js";
+
+const STATS_INTERVAL_MS = 1000;
+const SPARKLINE_SAMPLES = 60; // One minute of history in each graph
+const MAX_TRACE_SAMPLES = 3600; // Per peer; about an hour
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 24;
+
+const statsButton = document.getElementById("statsButton");
+const statsPanel = document.getElementById("statsPanel");
+const statsPeerList = document.getElementById("statsPeerList");
+const downloadStatsButton = document.getElementById("downloadStatsButton");
+
+// Remote peer ID -> { samples, previousTotals, section, fields, sparklines, hasLeft }
+const peerStats = new Map();
+let statsSessionPeerId = null; // localPeerId the collected samples belong to
+
+// Rows shown for each peer. Those with a sparkline graph the given sample field.
+const STATS_ROWS = [
+  { id: "connection", label: "Connection" },
+  { id: "rtt", label: "Round-trip time", sparkline: "rttMs" },
+  { id: "jitter", label: "Jitter (in)", sparkline: "jitterMs" },
+  { id: "loss", label: "Packet loss (in)", sparkline: "packetLossPercent" },
+  { id: "bitrateIn", label: "Bitrate in", sparkline: "bitrateInKbps" },
+  { id: "bitrateOut", label: "Bitrate out", sparkline: "bitrateOutKbps" },
+  { id: "resolution", label: "Resolution (in / out)" },
+  { id: "framerate", label: "Framerate (in / out)" },
+  { id: "codecs", label: "Codecs (in / out)" },
+];
+
+async function collectStats() {
+  if (!isSessionActive()) {
+    return;
+  }
+  if (statsSessionPeerId !== localPeerId) {
+    // A new session: the previous one's trace is gone
+    statsSessionPeerId = localPeerId;
+    peerStats.clear();
+    statsPeerList.replaceChildren();
+  }
+  for (const [remotePeerId, peer] of peers) {
+    try {
+      const report = await peer.peerConnection.getStats();
+      const state = getPeerStatsState(remotePeerId);
+      const sample = summarizeStatsReport(report, state);
+      state.samples.push(sample);
+      if (state.samples.length > MAX_TRACE_SAMPLES) {
+        state.samples.shift();
+      }
+    } catch (error) {
+      console.warn(`Could not read stats for peer ${shortPeerId(remotePeerId)}:`, error);
+    }
+  }
+  for (const [remotePeerId, state] of peerStats) {
+    if (!peers.has(remotePeerId) && !state.hasLeft) {
+      state.hasLeft = true;
+      state.section.querySelector("h3").textContent += " (left)";
+    }
+  }
+  if (!statsPanel.hidden) {
+    renderStats();
+  }
+}
+
+function getPeerStatsState(remotePeerId) {
+  let state = peerStats.get(remotePeerId);
+  if (!state) {
+    state = { samples: [], previousTotals: null, hasLeft: false, ...createPeerStatsSection(remotePeerId) };
+    peerStats.set(remotePeerId, state);
+  }
+  return state;
+}
+
+// Turns a full RTCStatsReport into one flat sample. Bitrates and packet loss are rates over
+// the time since the previous sample, so cumulative counters are kept in state.previousTotals.
+function summarizeStatsReport(report, state) {
+  const reports = new Map();
+  report.forEach((stat) => reports.set(stat.id, stat));
+  const sample = { ts: Date.now() };
+
+  // Chrome and Safari name the selected pair on the transport; Firefox flags it on the pair
+  let pair = null;
+  for (const stat of reports.values()) {
+    if (stat.type === "transport" && stat.selectedCandidatePairId) {
+      pair = reports.get(stat.selectedCandidatePairId);
+    }
+  }
+  if (!pair) {
+    pair = [...reports.values()].find((stat) =>
+      stat.type === "candidate-pair" && stat.nominated && stat.state === "succeeded"
+    ) || null;
+  }
+  if (pair) {
+    const localCandidate = reports.get(pair.localCandidateId);
+    const remoteCandidate = reports.get(pair.remoteCandidateId);
+    sample.localCandidateType = localCandidate?.candidateType ?? null;
+    sample.remoteCandidateType = remoteCandidate?.candidateType ?? null;
+    sample.protocol = localCandidate?.protocol ?? null;
+    sample.rttMs = pair.currentRoundTripTime !== undefined ? pair.currentRoundTripTime * 1000 : null;
+  }
+
+  const totals = { ts: sample.ts, bytesReceived: 0, bytesSent: 0, packetsReceived: 0, packetsLost: 0 };
+  const codecOf = (stat) => reports.get(stat.codecId)?.mimeType?.split("/")[1] ?? null;
+  for (const stat of reports.values()) {
+    if (stat.type === "inbound-rtp") {
+      totals.bytesReceived += stat.bytesReceived || 0;
+      totals.packetsReceived += stat.packetsReceived || 0;
+      totals.packetsLost += stat.packetsLost || 0;
+      if (stat.kind === "video") {
+        sample.inboundResolution = stat.frameWidth ? `${stat.frameWidth}x${stat.frameHeight}` : null;
+        sample.inboundFramerate = stat.framesPerSecond ?? null;
+        sample.inboundVideoCodec = codecOf(stat);
+        sample.jitterMs = stat.jitter !== undefined ? stat.jitter * 1000 : null;
+      } else if (stat.kind === "audio") {
+        sample.inboundAudioCodec = codecOf(stat);
+        sample.audioJitterMs = stat.jitter !== undefined ? stat.jitter * 1000 : null;
+      }
+    } else if (stat.type === "outbound-rtp") {
+      totals.bytesSent += stat.bytesSent || 0;
+      if (stat.kind === "video") {
+        sample.outboundResolution = stat.frameWidth ? `${stat.frameWidth}x${stat.frameHeight}` : null;
+        sample.outboundFramerate = stat.framesPerSecond ?? null;
+        sample.outboundVideoCodec = codecOf(stat);
+      } else if (stat.kind === "audio") {
+        sample.outboundAudioCodec = codecOf(stat);
+      }
+    }
+  }
+  if (sample.jitterMs === undefined) {
+    sample.jitterMs = sample.audioJitterMs ?? null; // Audio-only call
+  }
+
+  const previous = state.previousTotals;
+  if (previous) {
+    const seconds = (totals.ts - previous.ts) / 1000;
+    sample.bitrateInKbps = Math.max(0, (totals.bytesReceived - previous.bytesReceived) * 8 / 1000 / seconds);
+    sample.bitrateOutKbps = Math.max(0, (totals.bytesSent - previous.bytesSent) * 8 / 1000 / seconds);
+    const received = totals.packetsReceived - previous.packetsReceived;
+    const lost = totals.packetsLost - previous.packetsLost;
+    sample.packetLossPercent = received + lost > 0 ? Math.max(0, lost) / (received + lost) * 100 : 0;
+  }
+  state.previousTotals = totals;
+  return sample;
+}
+
+// --- Rendering ---
+function createPeerStatsSection(remotePeerId) {
+  const section = document.createElement("section");
+  section.className = "stats-peer";
+  const heading = document.createElement("h3");
+  heading.textContent = `Peer ${shortPeerId(remotePeerId)}`;
+  const table = document.createElement("table");
+  const fields = {};
+  const sparklines = {};
+  for (const row of STATS_ROWS) {
+    const tr = document.createElement("tr");
+    const label = document.createElement("th");
+    label.textContent = row.label;
+    const value = document.createElement("td");
+    value.textContent = "–";
+    const graph = document.createElement("td");
+    if (row.sparkline) {
+      const canvas = document.createElement("canvas");
+      canvas.width = SPARKLINE_WIDTH;
+      canvas.height = SPARKLINE_HEIGHT;
+      canvas.className = "sparkline";
+      graph.appendChild(canvas);
+      sparklines[row.sparkline] = canvas;
+    }
+    tr.append(label, value, graph);
+    table.appendChild(tr);
+    fields[row.id] = value;
+  }
+  section.append(heading, table);
+  statsPeerList.appendChild(section);
+  return { section, fields, sparklines };
+}
+
+function formatStat(value, unit, digits = 0) {
+  return value === null || value === undefined ? "–" : `${value.toFixed(digits)} ${unit}`;
+}
+
+function renderStats() {
+  for (const state of peerStats.values()) {
+    const sample = state.samples.at(-1);
+    if (!sample) {
+      continue;
+    }
+    const { fields } = state;
+    fields.connection.textContent = sample.localCandidateType
+      ? `${sample.localCandidateType} ↔ ${sample.remoteCandidateType} (${sample.protocol})`
+      : "Not connected";
+    fields.rtt.textContent = formatStat(sample.rttMs, "ms");
+    fields.jitter.textContent = formatStat(sample.jitterMs, "ms", 1);
+    fields.loss.textContent = formatStat(sample.packetLossPercent, "%", 1);
+    fields.bitrateIn.textContent = formatStat(sample.bitrateInKbps, "kbps");
+    fields.bitrateOut.textContent = formatStat(sample.bitrateOutKbps, "kbps");
+    fields.resolution.textContent = `${sample.inboundResolution || "–"} / ${sample.outboundResolution || "–"}`;
+    fields.framerate.textContent = `${formatStat(sample.inboundFramerate, "fps")} / ${formatStat(sample.outboundFramerate, "fps")}`;
+    fields.codecs.textContent = [
+      [sample.inboundVideoCodec, sample.inboundAudioCodec],
+      [sample.outboundVideoCodec, sample.outboundAudioCodec],
+    ].map((codecs) => codecs.filter(Boolean).join(", ") || "–").join(" / ");
+
+    const recent = state.samples.slice(-SPARKLINE_SAMPLES);
+    for (const [field, canvas] of Object.entries(state.sparklines)) {
+      drawSparkline(canvas, recent.map((s) => s[field]));
+    }
+  }
+}
+
+function drawSparkline(canvas, values) {
+  const context = canvas.getContext("2d");
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  const points = values.filter((value) => value !== null && value !== undefined);
+  if (points.length < 2) {
+    return;
+  }
+  const max = Math.max(...points) || 1; // All zeros draws a flat line at the bottom
+  const step = canvas.width / (SPARKLINE_SAMPLES - 1);
+  const offset = SPARKLINE_SAMPLES - values.length; // Right-align short histories
+  context.beginPath();
+  context.strokeStyle = "#007bff";
+  context.lineWidth = 1.5;
+  let started = false;
+  values.forEach((value, index) => {
+    if (value === null || value === undefined) {
+      return;
+    }
+    const x = (offset + index) * step;
+    const y = canvas.height - 1 - (value / max) * (canvas.height - 2);
+    if (started) {
+      context.lineTo(x, y);
+    } else {
+      context.moveTo(x, y);
+      started = true;
+    }
+  });
+  context.stroke();
+}
+
+// --- Panel and Download ---
+function toggleStatsPanel() {
+  statsPanel.hidden = !statsPanel.hidden;
+  statsButton.textContent = statsPanel.hidden ? "Show Stats" : "Hide Stats";
+  if (!statsPanel.hidden) {
+    renderStats();
+  }
+}
+
+function downloadStats() {
+  const trace = {
+    room: ROOM_ID,
+    localPeerId: statsSessionPeerId,
+    exportedAt: new Date().toISOString(),
+    userAgent: navigator.userAgent,
+    intervalMs: STATS_INTERVAL_MS,
+    peers: Object.fromEntries(
+      [...peerStats].map(([remotePeerId, state]) => [remotePeerId, state.samples]),
+    ),
+  };
+  const blob = new Blob([JSON.stringify(trace, null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `webrtc-stats-${ROOM_ID}-${trace.exportedAt.replace(/[:.]/g, "-")}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  console.log(`Downloaded stats trace for ${peerStats.size} peer(s).`);
+}
+
+statsButton.addEventListener("click", toggleStatsPanel);
+downloadStatsButton.addEventListener("click", downloadStats);
+setInterval(collectStats, STATS_INTERVAL_MS);
@@ -1,148 +1,1802 @@
-import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
-import { serveDir } from "https://deno.land/std@0.190.0/http/file_server.ts";
+import {
+  serveDir,
+  serveFile,
+} from "https://deno.land/std@0.190.0/http/file_server.ts";
 import { load } from "jsr:@std/dotenv";
+import {
+  createIceProvider,
+  createIceServerSource,
+  PUBLIC_STUN_SERVER,
+} from "./ice_servers.js";
+import { DEFAULT_PUBLIC_DIR, loadServerConfig, USAGE } from "./config.js";
+import { loadTlsCertificate } from "./tls.js";
+import { createTokenSigner } from "./tokens.js";
+import { log, setLogLevel } from "./logger.js";
+import { createMetricsRegistry } from "./metrics.js";
 
-const PORT = 8000;
-const PUBLIC_DIR_PATH = "./public"; // Relative to where server.js is
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/; // Room IDs end up in URLs and KV keys
+const PEER_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/; // Server-issued UUIDs
+const SIGNAL_TYPES = ["offer", "answer", "candidate"];
+const SIGNAL_TTL_MS = 5 * 60 * 1000; // Offers, answers and candidates are consumed within seconds
+const ROSTER_TTL_MS = 90 * 1000; // Clients heartbeat every 30s; a roster entry older than this is a crashed tab
+const IDLE_SWEEP_SCHEDULE = "*/5 * * * *"; // Deno.cron schedule for removing idle rooms
+const MAX_PARTICIPANTS = 6; // Full mesh: every participant uploads one stream per other participant
+const MAX_VIEWERS = 25; // Broadcast rooms: only the presenter uploads, one stream per viewer
+const BROADCAST_ROLES = ["presenter", "viewer"];
+const JOIN_MAX_ATTEMPTS = 5;
+const DEFAULT_CHAT_HISTORY_RETENTION_HOURS = 24; // Override with CHAT_HISTORY_RETENTION_HOURS
+const DEFAULT_CHAT_HISTORY_LIMIT = 50; // Messages returned to a client joining the room
+const MAX_CHAT_HISTORY_LIMIT = 500;
+const CHAT_HISTORY_TYPES = ["text", "edit", "delete"];
+const MAX_CHAT_TEXT_LENGTH = 2000; // Same limits as the client's chat protocol
+const MAX_CHAT_ID_LENGTH = 64;
+const MAX_DISPLAY_NAME_LENGTH = 40;
+const MAX_KEY_CHECK_LENGTH = 64; // Base64 SHA-256 from the client's passphrase derivation
+const ROOM_TOKEN_TTL_MS = 5 * 60 * 1000; // Pre-join token from /api/rooms/<room>/token
+const PEER_TOKEN_TTL_MS = 10 * 60 * 1000; // Issued on join and renewed by every heartbeat
+const DEFAULT_DIAGNOSTICS_RETENTION_HOURS = 72; // Override with DIAGNOSTICS_RETENTION_HOURS
+const MAX_DIAGNOSTICS_REPORT_BYTES = 60 * 1024; // Deno KV values are limited to 64 KiB
+// Longest lists kept, the same as the client's, so a report stays under the body limit
+const DIAGNOSTICS_LIST_LIMITS = { events: 200, candidates: 150, errors: 50, iceServerUrls: 20 };
+const DIAGNOSTIC_EVENT_KINDS = ["session", "ice", "signaling"];
+const DEFAULT_DIAGNOSTICS_LIST_LIMIT = 50;
+const MAX_DIAGNOSTICS_LIST_LIMIT = 200;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+// Signal payloads are what RTCSessionDescription and RTCIceCandidate serialize to, or their
+// sealed form in rooms with a passphrase (see public/e2e.js)
+const MAX_SIGNAL_BODY_BYTES = 48 * 1024; // Fits a sealed maximum-size SDP; Deno KV values are limited to 64 KiB
+const MAX_SDP_LENGTH = 32 * 1024; // Typical offers are 3-8 KB
+const MAX_SEALED_PAYLOAD_LENGTH = 46 * 1024; // Base64 of an encrypted maximum-size description
+const MAX_E2E_IV_LENGTH = 64;
+const MAX_CANDIDATE_LENGTH = 1024;
+const MAX_SDP_MID_LENGTH = 64;
+const MAX_USERNAME_FRAGMENT_LENGTH = 256;
+const MAX_JOIN_BODY_BYTES = 1024; // { keyCheck, broadcast }
+const MAX_CHAT_HISTORY_BODY_BYTES = 16 * 1024; // One chat envelope
+// Token buckets for storing signals: a newcomer sends each participant an offer and a burst of
+// candidates, so the buckets allow bursts well above the steady rate
+const DEFAULT_SIGNAL_LIMITS = {
+  perAddress: { capacity: 200, refillPerSecond: 20 },
+  perRoom: { capacity: 600, refillPerSecond: 60 },
+  maxRoomCandidates: 500, // Stored and not yet consumed, across the whole room
+};
+const CANDIDATE_CAP_RETRY_AFTER_SECONDS = 5; // Candidates are normally consumed within seconds
+const RATE_LIMIT_MAX_ATTEMPTS = 5;
+const ICE_FETCH_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // Seconds
 
 let kv;
-let twilioAccountSid;
-let twilioAuthToken;
-
-try {
-  // Load environment variables from .env file
-  await load({ export: true }); // Exports to Deno.env
-  twilioAccountSid = Deno.env.get("TWILIO_ACCOUNT_SID");
-  twilioAuthToken = Deno.env.get("TWILIO_AUTH_TOKEN");
-
-  if (!twilioAccountSid || !twilioAuthToken) {
-    console.warn(
-      "Twilio credentials (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN) not found in .env file. TURN server functionality will be disabled.",
+let iceServerSource;
+let tokenSigner;
+let adminToken;
+let publicDir = DEFAULT_PUBLIC_DIR; // Relative to the working directory
+let dirListing = false;
+let trustProxy = false;
+let signalLimits = DEFAULT_SIGNAL_LIMITS;
+let chatHistoryRetentionMs = DEFAULT_CHAT_HISTORY_RETENTION_HOURS * 60 * 60 * 1000;
+let diagnosticsRetentionMs = DEFAULT_DIAGNOSTICS_RETENTION_HOURS * 60 * 60 * 1000;
+
+// --- Metrics ---
+// Served at /metrics in the Prometheus text format. Counters live in memory, so each
+// instance reports its own; gauges are computed on every scrape.
+const metrics = createMetricsRegistry();
+const signalCounter = metrics.counter(
+  "lanchu_signals_total",
+  "Signals stored, fetched and deleted, by operation and signal type",
+);
+const iceFetchCounter = metrics.counter(
+  "lanchu_ice_server_fetches_total",
+  "Upstream ICE server fetches (cache misses), by provider and result",
+);
+const iceFetchDuration = metrics.histogram(
+  "lanchu_ice_server_fetch_duration_seconds",
+  "Latency of upstream ICE server fetches, by provider",
+  ICE_FETCH_DURATION_BUCKETS,
+);
+const diagnosticsReportCounter = metrics.counter(
+  "lanchu_diagnostics_reports_total",
+  "Client diagnostics reports received, by whether the session had failures",
+);
+const signalRejectionCounter = metrics.counter(
+  "lanchu_signal_rejections_total",
+  "Signals rejected before being stored, by reason",
+);
+const httpResponseCounter = metrics.counter(
+  "lanchu_http_responses_total",
+  "HTTP responses by route, method and status code",
+);
+metrics.gauge(
+  "lanchu_active_rooms",
+  "Rooms with at least one participant on the roster",
+  async () => kv ? (await listActiveRooms()).length : [],
+);
+metrics.gauge(
+  "lanchu_websocket_connections",
+  "Open signaling WebSockets on this instance",
+  () => [...roomSockets.values()].reduce((total, sockets) => total + sockets.size, 0),
+);
+
+function recordIceFetch(provider, { ok, durationMs }) {
+  iceFetchCounter.inc({ provider, result: ok ? "success" : "failure" });
+  iceFetchDuration.observe({ provider }, durationMs / 1000);
+}
+
+// Everything handler() needs that comes from outside: startServer() builds it from the
+// environment, while tests (server_test.js) pass an in-memory KV store and a stub ICE source.
+export async function configureServer(options) {
+  kv = options.kv ?? null;
+  iceServerSource = options.iceServerSource ?? null;
+  tokenSigner = await createTokenSigner(options.signalingSecret);
+  // Admin pages and APIs (e.g. /admin/diagnostics) stay disabled without an admin token
+  adminToken = options.adminToken ?? null;
+  publicDir = options.publicDir ?? DEFAULT_PUBLIC_DIR;
+  dirListing = options.dirListing ?? false;
+  trustProxy = options.trustProxy ?? false;
+  signalLimits = { ...DEFAULT_SIGNAL_LIMITS, ...options.signalLimits };
+}
+
+async function getIceServers() {
+  if (!iceServerSource) {
+    return [PUBLIC_STUN_SERVER];
+  }
+  try {
+    return await iceServerSource.getIceServers();
+  } catch (error) {
+    log.error("Error fetching ICE servers, returning only public STUN", {
+      provider: iceServerSource.name,
+      error,
+    });
+    return [PUBLIC_STUN_SERVER]; // Fallback
+  }
+}
+
+function isValidRoomId(room) {
+  return typeof room === "string" && ROOM_ID_PATTERN.test(room);
+}
+
+function generateRoomId() {
+  // Short, URL-friendly and unlikely to collide for a handful of concurrent rooms
+  return crypto.randomUUID().split("-")[0];
+}
+
+function isValidPeerId(peerId) {
+  return typeof peerId === "string" && PEER_ID_PATTERN.test(peerId);
+}
+
+// KV expiry is lazy (expired keys may still be listed for a while), so roster entries
+// carry their own lastSeen timestamp and are filtered here as well.
+function isRosterEntryFresh(value) {
+  return value !== null && Date.now() - value.lastSeen < ROSTER_TTL_MS;
+}
+
+// Rooms with at least one participant on the roster: [{ room, participants, broadcast }]
+async function listActiveRooms() {
+  const rooms = new Map();
+  for await (const entry of kv.list({ prefix: ["webrtc_signal"] })) {
+    if (entry.key[2] === "peers" && isRosterEntryFresh(entry.value)) {
+      const room = entry.key[1];
+      if (!rooms.has(room)) {
+        rooms.set(room, { room, participants: 0, broadcast: false });
+      }
+      rooms.get(room).participants++;
+      if (entry.value.broadcast) {
+        rooms.get(room).broadcast = true;
+      }
+    }
+  }
+  return [...rooms.values()];
+}
+
+// --- Participant roster ---
+// Each participant has a roster entry; signals are addressed from one peer ID to another:
+//   ["webrtc_signal", room, "peers", peerId] -> { joinedAt, lastSeen, broadcast? }
+//   ["webrtc_signal", room, "offer" | "answer", toPeerId, fromPeerId] -> { seq, payload, storedAt }
+//   ["webrtc_signal", room, "candidate", toPeerId, fromPeerId, uuid] -> { payload, storedAt }
+// broadcast is "presenter" or "viewer" in broadcast rooms, and absent in ordinary calls.
+
+// [{ peerId, broadcast }], with broadcast null in ordinary calls
+async function listRoster(room) {
+  const roster = [];
+  for await (
+    const entry of kv.list({ prefix: ["webrtc_signal", room, "peers"] })
+  ) {
+    if (isRosterEntryFresh(entry.value)) {
+      roster.push({ peerId: entry.key[3], broadcast: entry.value.broadcast ?? null });
+    }
+  }
+  return roster;
+}
+
+async function listPeers(room) {
+  return (await listRoster(room)).map(({ peerId }) => peerId);
+}
+
+// Every join/leave bumps this counter in the same atomic commit as the roster change, so a
+// join that read a stale roster fails its check and retries instead of racing another join.
+function rosterVersionKey(room) {
+  return ["webrtc_signal", room, "roster_version"];
+}
+
+// Set to the time of the latest signal stored or deleted in the room. kv.watch() only works on
+// individual keys, so this and the roster version are what kv_admin.js watches to follow a room.
+function lastSignalKey(room) {
+  return ["webrtc_signal", room, "last_signal"];
+}
+
+// Rooms with a passphrase store a check value derived from it (never the passphrase or key
+// itself). The first participant sets it; everyone after must present the same value.
+function keyCheckKey(room) {
+  return ["webrtc_signal", room, "key_check"];
+}
+
+// Atomically registers a new participant. Returns { peerId, role, peers, broadcast } where peers
+// are the participants already present that the newcomer connects to: if there are any, the
+// newcomer is the "initiator" and must send them offers; otherwise it is a "receiver" that
+// waits for offers.
+//
+// broadcast ("presenter" or "viewer", or null for an ordinary call) is decided by whoever joins
+// an empty room, and everyone after must join the same way. A broadcast has at most one
+// presenter, who connects to every viewer; viewers connect only to the presenter, so they
+// don't need to send media and don't see each other. Either may arrive first.
+//
+// Returns { error, status } if the room is full, the passphrase doesn't match or the newcomer
+// doesn't fit the room (a call joined as a viewer, a second presenter, ...).
+async function joinRoom(room, keyCheck = null, broadcast = null) {
+  for (let attempt = 1; attempt <= JOIN_MAX_ATTEMPTS; attempt++) {
+    const versionEntry = await kv.get(rosterVersionKey(room));
+    const roster = await listRoster(room);
+    const isBroadcastRoom = roster.some((entry) => entry.broadcast !== null);
+    if (roster.length > 0 && isBroadcastRoom !== (broadcast !== null)) {
+      log.info("Rejected join: wrong room mode", { room, broadcast });
+      return {
+        error: isBroadcastRoom
+          ? `Room '${room}' is a broadcast. Open it as a viewer to watch.`
+          : `Room '${room}' is a call, not a broadcast.`,
+        status: 409,
+      };
+    }
+    if (broadcast === "presenter" && roster.some((entry) => entry.broadcast === "presenter")) {
+      log.info("Rejected join: room already has a presenter", { room });
+      return { error: `Room '${room}' already has a presenter.`, status: 409 };
+    }
+    if (broadcast === null && roster.length >= MAX_PARTICIPANTS) {
+      log.info("Rejected join: room is full", { room });
+      return {
+        error: `Room '${room}' is full (maximum ${MAX_PARTICIPANTS} participants).`,
+        status: 409,
+      };
+    }
+    if (
+      broadcast === "viewer" &&
+      roster.filter((entry) => entry.broadcast === "viewer").length >= MAX_VIEWERS
+    ) {
+      log.info("Rejected join: room is full", { room, broadcast });
+      return {
+        error: `Room '${room}' is full (maximum ${MAX_VIEWERS} viewers).`,
+        status: 409,
+      };
+    }
+    const roomKeyCheck = (await kv.get(keyCheckKey(room))).value;
+    if (roster.length > 0 && roomKeyCheck !== keyCheck) {
+      log.info("Rejected join: passphrase mismatch", { room });
+      let error = "Wrong room passphrase.";
+      if (roomKeyCheck === null) {
+        error = "This room doesn't use a passphrase. Clear the passphrase field and try again.";
+      } else if (keyCheck === null) {
+        error = "This room is protected by a passphrase. Enter it and try again.";
+      }
+      return { error, status: 403 };
+    }
+
+    const peerId = crypto.randomUUID();
+    const now = Date.now();
+    const atomicOperation = kv.atomic()
+      .check(versionEntry)
+      .set(rosterVersionKey(room), (versionEntry.value ?? 0) + 1, {
+        expireIn: SIGNAL_TTL_MS,
+      })
+      .set(["webrtc_signal", room, "peers", peerId], {
+        joinedAt: now,
+        lastSeen: now,
+        ...(broadcast ? { broadcast } : {}),
+      }, { expireIn: ROSTER_TTL_MS });
+    if (roster.length === 0) {
+      // First in: this join decides whether the room has a passphrase. No expiry, since it
+      // must outlive any one participant; clearing the room removes it.
+      if (keyCheck === null) {
+        atomicOperation.delete(keyCheckKey(room));
+      } else {
+        atomicOperation.set(keyCheckKey(room), keyCheck);
+      }
+    }
+    const result = await atomicOperation.commit();
+    if (result.ok) {
+      // A viewer connects to the presenter only, whether or not they are here yet
+      const peers = roster
+        .filter((entry) => broadcast !== "viewer" || entry.broadcast === "presenter")
+        .map((entry) => entry.peerId);
+      const role = peers.length > 0 ? "initiator" : "receiver";
+      log.info("Peer joined room", {
+        room,
+        peerId,
+        role,
+        broadcast,
+        alreadyPresent: roster.length,
+      });
+      for (const otherPeerId of peers) {
+        sendToPeer(room, otherPeerId, { type: "peer-joined", peerId });
+      }
+      return { peerId, role, peers, broadcast };
+    }
+    log.debug("Roster changed during join, retrying", { room, attempt });
+  }
+  throw new Error(`Could not join room '${room}': roster kept changing`);
+}
+
+// Removes a participant's roster entry and every signal addressed to or from it
+async function leaveRoom(room, peerId) {
+  const keysToDelete = [];
+  for await (const entry of kv.list({ prefix: ["webrtc_signal", room] })) {
+    const [, , kind, toPeerId, fromPeerId] = entry.key;
+    if (
+      SIGNAL_TYPES.includes(kind) &&
+      (toPeerId === peerId || fromPeerId === peerId)
+    ) {
+      keysToDelete.push(entry.key);
+    }
+  }
+  // The roster entry goes first, atomically with a version bump (see joinRoom)
+  const peerKey = ["webrtc_signal", room, "peers", peerId];
+  let removed = false;
+  for (let attempt = 1; attempt <= JOIN_MAX_ATTEMPTS && !removed; attempt++) {
+    const versionEntry = await kv.get(rosterVersionKey(room));
+    const result = await kv.atomic()
+      .check(versionEntry)
+      .set(rosterVersionKey(room), (versionEntry.value ?? 0) + 1, {
+        expireIn: SIGNAL_TTL_MS,
+      })
+      .delete(peerKey)
+      .commit();
+    removed = result.ok;
+  }
+  if (!removed) {
+    throw new Error(`Could not leave room '${room}': roster kept changing`);
+  }
+  for (const key of keysToDelete) {
+    await kv.delete(key);
+    signalCounter.inc({ operation: "deleted", type: key[2] });
+  }
+  log.info("Peer left room", {
+    room,
+    peerId,
+    entriesRemoved: keysToDelete.length + 1,
+  });
+  broadcastToRoom(room, { type: "peer-left", peerId }, peerId);
+}
+
+// Keeps a participant's roster entry alive. Returns false if it already expired or left.
+async function refreshPeer(room, peerId) {
+  const peerKey = ["webrtc_signal", room, "peers", peerId];
+  const entry = await kv.get(peerKey);
+  if (!isRosterEntryFresh(entry.value)) {
+    return false;
+  }
+  await kv.set(peerKey, { ...entry.value, lastSeen: Date.now() }, {
+    expireIn: ROSTER_TTL_MS,
+  });
+  return true;
+}
+
+// Removes everything stored for a room, whoever it belongs to
+async function clearRoom(room) {
+  const keysToDelete = [];
+  for await (const entry of kv.list({ prefix: ["webrtc_signal", room] })) {
+    keysToDelete.push(entry.key);
+  }
+  for (const key of keysToDelete) {
+    await kv.delete(key);
+    if (SIGNAL_TYPES.includes(key[2])) {
+      signalCounter.inc({ operation: "deleted", type: key[2] });
+    }
+  }
+  log.info("Cleared room", { room, entriesRemoved: keysToDelete.length });
+  return keysToDelete.length;
+}
+
+// Periodic cleanup (Deno.cron): drops roster entries of peers that stopped heartbeating,
+// telling the rest of the room, and removes rooms with nobody left in them.
+async function sweepIdleRooms() {
+  const rooms = new Map(); // room -> { stalePeers, hasActivePeers }
+  for await (const entry of kv.list({ prefix: ["webrtc_signal"] })) {
+    const [, room, kind, peerId] = entry.key;
+    if (!rooms.has(room)) {
+      rooms.set(room, { stalePeers: [], hasActivePeers: false });
+    }
+    if (kind === "peers") {
+      if (isRosterEntryFresh(entry.value)) {
+        rooms.get(room).hasActivePeers = true;
+      } else {
+        rooms.get(room).stalePeers.push(peerId);
+      }
+    }
+  }
+
+  let removedRooms = 0;
+  for (const [room, { stalePeers, hasActivePeers }] of rooms) {
+    if (!hasActivePeers && !roomSockets.has(room)) {
+      await clearRoom(room);
+      removedRooms++;
+      continue;
+    }
+    for (const peerId of stalePeers) {
+      log.info("Peer stopped heartbeating", { room, peerId });
+      await leaveRoom(room, peerId);
+    }
+  }
+  log.info("Idle room sweep finished", { removedRooms, rooms: rooms.size });
+}
+
+// --- Signal validation and limits ---
+// Rejections are { error, status, reason } (plus retryAfter in seconds for 429s); reason is
+// the label of lanchu_signal_rejections_total.
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Sealed payloads can only be checked for size; the server can't read them
+function isSealedPayload(payload) {
+  return isPlainObject(payload) && typeof payload.e2e === "number" &&
+    typeof payload.iv === "string" && typeof payload.ciphertext === "string";
+}
+
+// Returns { payload } with only the fields a peer connection needs, or { error }
+function validateSignalPayload(type, payload) {
+  if (isSealedPayload(payload)) {
+    if (
+      payload.iv.length > MAX_E2E_IV_LENGTH ||
+      payload.ciphertext.length > MAX_SEALED_PAYLOAD_LENGTH
+    ) {
+      return { error: "encrypted payload too large" };
+    }
+    return { payload: { e2e: payload.e2e, iv: payload.iv, ciphertext: payload.ciphertext } };
+  }
+  if (!isPlainObject(payload)) {
+    return { error: "payload must be an object" };
+  }
+  if (type === "candidate") {
+    const { candidate, sdpMid, sdpMLineIndex, usernameFragment = null } = payload;
+    if (typeof candidate !== "string" || candidate.length > MAX_CANDIDATE_LENGTH) {
+      return { error: `'candidate' must be a string of at most ${MAX_CANDIDATE_LENGTH} characters` };
+    }
+    if (sdpMid !== null && (typeof sdpMid !== "string" || sdpMid.length > MAX_SDP_MID_LENGTH)) {
+      return { error: "'sdpMid' must be a string or null" };
+    }
+    if (
+      sdpMLineIndex !== null &&
+      !(Number.isInteger(sdpMLineIndex) && sdpMLineIndex >= 0 && sdpMLineIndex <= 65535)
+    ) {
+      return { error: "'sdpMLineIndex' must be a non-negative integer or null" };
+    }
+    if (sdpMid === null && sdpMLineIndex === null) {
+      return { error: "'sdpMid' and 'sdpMLineIndex' can't both be null" };
+    }
+    if (
+      usernameFragment !== null &&
+      (typeof usernameFragment !== "string" || usernameFragment.length > MAX_USERNAME_FRAGMENT_LENGTH)
+    ) {
+      return { error: "'usernameFragment' must be a string or null" };
+    }
+    return { payload: { candidate, sdpMid, sdpMLineIndex, usernameFragment } };
+  }
+  if (payload.type !== type) {
+    return { error: `payload 'type' must be '${type}'` };
+  }
+  if (typeof payload.sdp !== "string" || !payload.sdp.startsWith("v=0")) {
+    return { error: "'sdp' must be an SDP description" };
+  }
+  if (payload.sdp.length > MAX_SDP_LENGTH) {
+    return { error: `'sdp' too large (maximum ${MAX_SDP_LENGTH} characters)` };
+  }
+  return { payload: { type, sdp: payload.sdp } };
+}
+
+// Takes a token from the bucket stored at key. Returns 0 if there was one, otherwise the
+// seconds until there will be.
+async function takeRateLimitToken(key, { capacity, refillPerSecond }) {
+  for (let attempt = 1; attempt <= RATE_LIMIT_MAX_ATTEMPTS; attempt++) {
+    const entry = await kv.get(key);
+    const now = Date.now();
+    const bucket = entry.value ?? { tokens: capacity, updatedAt: now };
+    const tokens = Math.min(
+      capacity,
+      bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond,
     );
-  } else {
-    console.log("Twilio credentials loaded successfully.");
+    if (tokens < 1) {
+      return Math.ceil((1 - tokens) / refillPerSecond);
+    }
+    // A bucket that has been left alone long enough to refill is the same as none
+    const result = await kv.atomic()
+      .check(entry)
+      .set(key, { tokens: tokens - 1, updatedAt: now }, {
+        expireIn: Math.ceil((capacity / refillPerSecond) * 1000),
+      })
+      .commit();
+    if (result.ok) {
+      return 0;
+    }
+  }
+  return 1; // Heavily contended; the caller can try again shortly
+}
+
+// Per client address, then per room. Returns null, or a 429 rejection.
+async function checkSignalRateLimits(address, room) {
+  const buckets = [
+    ["address", address, signalLimits.perAddress],
+    ["room", room, signalLimits.perRoom],
+  ];
+  for (const [scope, id, limit] of buckets) {
+    const retryAfter = await takeRateLimitToken(["rate_limit", scope, id], limit);
+    if (retryAfter > 0) {
+      return {
+        error: `Too many signals from this ${scope}, retry in ${retryAfter}s`,
+        status: 429,
+        retryAfter,
+        reason: `rate_limited_${scope}`,
+      };
+    }
+  }
+  return null;
+}
+
+// The address rate limits are keyed on. Behind a reverse proxy every request comes from the
+// proxy, so with trustProxy the first X-Forwarded-For address is used instead.
+function clientAddress(req, info) {
+  if (trustProxy) {
+    const forwardedFor = req.headers.get("x-forwarded-for")?.split(",")[0].trim();
+    if (forwardedFor) {
+      return forwardedFor;
+    }
   }
+  return info?.remoteAddr?.hostname ?? "unknown";
+}
 
-  kv = await Deno.openKv();
-  console.log("Deno KV store opened successfully.");
-} catch (error) {
-  console.error("Failed during initial setup (Deno KV or Env Vars):", error);
-  if (error.name === "PermissionDenied") {
-    console.warn(
-      "Ensure Deno has correct permissions. Run with: deno run --allow-net --allow-read --allow-write --allow-env --unstable-kv server.js",
+async function countEntries(prefix, limit) {
+  let count = 0;
+  for await (const _entry of kv.list({ prefix }, { limit })) {
+    count++;
+  }
+  return count;
+}
+
+// In a broadcast room, signals only go between the presenter and a viewer. That takes both
+// roster entries, so it is one extra KV read per signal in every room.
+async function checkBroadcastPair(room, from, to) {
+  const [fromEntry, toEntry] = await kv.getMany([
+    ["webrtc_signal", room, "peers", from],
+    ["webrtc_signal", room, "peers", to],
+  ]);
+  const roles = [fromEntry.value?.broadcast, toEntry.value?.broadcast];
+  if (roles.includes("viewer") && !roles.includes("presenter")) {
+    return {
+      error: "Viewers can only exchange signals with the presenter",
+      status: 403,
+      reason: "forbidden",
+    };
+  }
+  return null;
+}
+
+function recordSignalRejection(rejection, context) {
+  signalRejectionCounter.inc({ reason: rejection.reason });
+  log.info("Rejected signal", { ...context, reason: rejection.error, status: rejection.status });
+}
+
+function signalRejectionResponse(rejection, context) {
+  recordSignalRejection(rejection, context);
+  return new Response(rejection.error, {
+    status: rejection.status,
+    headers: rejection.retryAfter ? { "Retry-After": String(rejection.retryAfter) } : {},
+  });
+}
+
+// Reads a request body of at most maxBytes, stopping as soon as it is over. Returns { text },
+// or { error, status: 413 }.
+async function readBodyText(req, maxBytes) {
+  const tooLarge = {
+    error: `Request body too large (maximum ${maxBytes} bytes)`,
+    status: 413,
+    reason: "too_large",
+  };
+  if (Number(req.headers.get("content-length")) > maxBytes) {
+    return tooLarge;
+  }
+  if (!req.body) {
+    return { text: "" };
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req.body) {
+    size += chunk.byteLength;
+    if (size > maxBytes) {
+      return tooLarge; // Leaving the loop cancels the rest of the body
+    }
+    chunks.push(chunk);
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return { text: new TextDecoder().decode(bytes) };
+}
+
+// Stores a { type, from, to, seq, payload } signal in KV. Returns { key, signal } with the
+// signal as stored, or a rejection if it is malformed, stale or over the candidate cap.
+//
+// Either side of a pair may send offers at any time (perfect negotiation), so each offer
+// carries a per-sender sequence number and each answer carries the seq of the offer it
+// answers. The single offer/answer slot per pair stores { seq, payload }, and an offer that
+// is not newer than the one already in its slot is rejected instead of overwriting it.
+async function storeSignal(room, signal) {
+  if (
+    !SIGNAL_TYPES.includes(signal.type) || !isValidPeerId(signal.from) ||
+    !isValidPeerId(signal.to)
+  ) {
+    return {
+      error: `Invalid signal '${signal.type}' to '${signal.to}'`,
+      status: 422,
+      reason: "invalid",
+    };
+  }
+  const { payload, error: payloadError } = validateSignalPayload(signal.type, signal.payload);
+  if (payloadError) {
+    return { error: `Invalid ${signal.type}: ${payloadError}`, status: 422, reason: "invalid" };
+  }
+  const forbidden = await checkBroadcastPair(room, signal.from, signal.to);
+  if (forbidden) {
+    return forbidden;
+  }
+
+  if (signal.type === "candidate") {
+    const pending = await countEntries(
+      ["webrtc_signal", room, "candidate"],
+      signalLimits.maxRoomCandidates,
     );
+    if (pending >= signalLimits.maxRoomCandidates) {
+      return {
+        error: `Too many pending candidates in this room (maximum ${signalLimits.maxRoomCandidates})`,
+        status: 429,
+        retryAfter: CANDIDATE_CAP_RETRY_AFTER_SECONDS,
+        reason: "candidate_cap",
+      };
+    }
+    const kvKey = ["webrtc_signal", room, "candidate", signal.to, signal.from, crypto.randomUUID()];
+    const now = Date.now();
+    await kv.atomic()
+      .set(kvKey, { payload, storedAt: now }, { expireIn: SIGNAL_TTL_MS })
+      .set(lastSignalKey(room), now, { expireIn: SIGNAL_TTL_MS })
+      .commit();
+    signalCounter.inc({ operation: "stored", type: "candidate" });
+    log.debug("Stored signal", {
+      room,
+      type: "candidate",
+      from: signal.from,
+      to: signal.to,
+    });
+    return { key: kvKey, signal: { type: "candidate", from: signal.from, to: signal.to, payload } };
+  }
+
+  if (!Number.isInteger(signal.seq) || signal.seq < 1) {
+    return {
+      error: `Missing or invalid 'seq' for ${signal.type}`,
+      status: 422,
+      reason: "invalid",
+    };
+  }
+  const kvKey = ["webrtc_signal", room, signal.type, signal.to, signal.from];
+  const current = await kv.get(kvKey);
+  if (
+    signal.type === "offer" && current.value !== null &&
+    current.value.seq >= signal.seq
+  ) {
+    return {
+      error: `Stale offer: seq ${signal.seq} is not newer than ${current.value.seq}`,
+      status: 409,
+      reason: "conflict",
+    };
+  }
+  const now = Date.now();
+  const atomicOperation = kv.atomic()
+    .check(current)
+    .set(kvKey, { seq: signal.seq, payload, storedAt: now }, {
+      expireIn: SIGNAL_TTL_MS,
+    })
+    .set(lastSignalKey(room), now, { expireIn: SIGNAL_TTL_MS });
+  if (signal.type === "offer") {
+    // An unprocessed answer to an older offer from this peer must not be applied to the new one
+    atomicOperation.delete(["webrtc_signal", room, "answer", signal.from, signal.to]);
+  }
+  const result = await atomicOperation.commit();
+  if (!result.ok) {
+    return {
+      error: `Concurrent ${signal.type} for the same pair, retry with a newer seq`,
+      status: 409,
+      reason: "conflict",
+    };
+  }
+  signalCounter.inc({ operation: "stored", type: signal.type });
+  log.debug("Stored signal", {
+    room,
+    type: signal.type,
+    seq: signal.seq,
+    from: signal.from,
+    to: signal.to,
+  });
+  return {
+    key: kvKey,
+    signal: { type: signal.type, from: signal.from, to: signal.to, seq: signal.seq, payload },
+  };
+}
+
+// --- Join tokens ---
+// Every signaling call must carry a token for its room, as "Authorization: Bearer <token>" or,
+// where headers can't be set (WebSockets, download links), a "token" query parameter. Calls
+// made on behalf of a participant also need the token issued to that participant on join.
+// Returns { claims }, or { error, status }: 401 without a valid token, 403 if it's for
+// another room or participant. Only a null peerId skips the participant check; a room token,
+// which names no participant, fails it.
+async function authorize(req, url, room, peerId = null) {
+  const authorization = req.headers.get("authorization") || "";
+  const token = authorization.startsWith("Bearer ")
+    ? authorization.substring("Bearer ".length)
+    : url.searchParams.get("token");
+  if (!token) {
+    return { error: "Missing join token", status: 401 };
+  }
+  const claims = await tokenSigner.verify(token);
+  if (!claims) {
+    return { error: "Invalid or expired join token", status: 401 };
+  }
+  if (claims.room !== room) {
+    return { error: "Join token is for a different room", status: 403 };
+  }
+  if (peerId !== null && (!claims.peer || claims.peer !== peerId)) {
+    return { error: "Join token is for a different participant", status: 403 };
+  }
+  return { claims };
+}
+
+function authorizationFailure({ error, status }) {
+  log.info("Rejected request", { reason: error, status });
+  return new Response(error, {
+    status,
+    headers: status === 401 ? { "WWW-Authenticate": "Bearer" } : {},
+  });
+}
+
+// The shape of a stored signal's key: ["webrtc_signal", room, type, to, from], plus a UUID for
+// candidates (see storeSignal)
+function isSignalKey(key) {
+  return Array.isArray(key) && key.every((part) => typeof part === "string") &&
+    key[0] === "webrtc_signal" && SIGNAL_TYPES.includes(key[2]) &&
+    key.length === (key[2] === "candidate" ? 6 : 5);
+}
+
+// A participant may only delete signals in their own room that are addressed to them
+function isOwnSignalKey(key, room, peerId) {
+  return key[1] === room && key[3] === peerId;
+}
+
+// --- Chat history ---
+// Opt-in per room. Kept under its own prefix so idle-room cleanup leaves it alone; messages
+// expire after the retention period, and the setting lapses once nobody has written for as long.
+//   ["chat_history", room, "settings"] -> { enabled, updatedAt }
+//   ["chat_history", room, "messages", messageId] -> { id, peerId, sender, ts, text, edited, deleted }
+function chatHistorySettingsKey(room) {
+  return ["chat_history", room, "settings"];
+}
+
+async function isChatHistoryEnabled(room) {
+  const entry = await kv.get(chatHistorySettingsKey(room));
+  return entry.value !== null && entry.value.enabled === true;
+}
+
+// Turning history off also deletes what was stored. Returns the number of messages deleted.
+async function setChatHistoryEnabled(room, enabled) {
+  if (enabled) {
+    await kv.set(chatHistorySettingsKey(room), { enabled, updatedAt: Date.now() }, {
+      expireIn: chatHistoryRetentionMs,
+    });
+    log.info("Enabled chat history", { room });
+    return 0;
+  }
+  const keysToDelete = [chatHistorySettingsKey(room)];
+  for await (
+    const entry of kv.list({ prefix: ["chat_history", room, "messages"] })
+  ) {
+    keysToDelete.push(entry.key);
+  }
+  for (const key of keysToDelete) {
+    await kv.delete(key);
+  }
+  log.info("Disabled chat history", {
+    room,
+    messagesRemoved: keysToDelete.length - 1,
+  });
+  return keysToDelete.length - 1;
+}
+
+// The most recent messages, oldest first
+async function listChatHistory(room, limit) {
+  const messages = [];
+  for await (
+    const entry of kv.list({ prefix: ["chat_history", room, "messages"] })
+  ) {
+    messages.push(entry.value);
+  }
+  messages.sort((a, b) => a.ts - b.ts);
+  return messages.slice(-limit);
+}
+
+function isValidChatString(value, maxLength) {
+  return typeof value === "string" && value.length > 0 &&
+    value.length <= maxLength;
+}
+
+// Stores a text/edit/delete chat envelope sent by a participant on the roster. Returns { record }
+// on success, or { error, status }. Only the original sender may edit or delete a message.
+async function storeChatHistoryMessage(room, peerId, envelope) {
+  if (!(await isChatHistoryEnabled(room))) {
+    return { error: `Chat history is not enabled for room '${room}'`, status: 403 };
+  }
+  if (
+    !envelope || !CHAT_HISTORY_TYPES.includes(envelope.type) ||
+    !isValidChatString(envelope.id, MAX_CHAT_ID_LENGTH) ||
+    !isValidChatString(envelope.sender, MAX_DISPLAY_NAME_LENGTH) ||
+    !Number.isFinite(envelope.ts)
+  ) {
+    return { error: "Invalid chat message. Expected { type, id, sender, ts, ... }.", status: 400 };
+  }
+  if (
+    envelope.type !== "delete" &&
+    !isValidChatString(envelope.text, MAX_CHAT_TEXT_LENGTH)
+  ) {
+    return { error: `Missing or invalid 'text' for ${envelope.type}`, status: 400 };
+  }
+
+  let record;
+  let versionstamp = null; // A new message's ID must not be taken yet
+  if (envelope.type === "text") {
+    record = {
+      id: envelope.id,
+      peerId,
+      sender: envelope.sender,
+      ts: envelope.ts,
+      text: envelope.text,
+      edited: false,
+      deleted: false,
+    };
   } else {
-    console.warn(
-      "Signaling or TURN services might not work. Ensure Deno KV is enabled and .env file is present with correct permissions.",
-    );
+    if (!isValidChatString(envelope.messageId, MAX_CHAT_ID_LENGTH)) {
+      return { error: `Missing or invalid 'messageId' for ${envelope.type}`, status: 400 };
+    }
+    const existing = await kv.get(["chat_history", room, "messages", envelope.messageId]);
+    if (existing.value === null) {
+      return { error: `Message '${envelope.messageId}' not found`, status: 404 };
+    }
+    if (existing.value.peerId !== peerId) {
+      return { error: "Only the sender may change a message", status: 403 };
+    }
+    versionstamp = existing.versionstamp;
+    record = envelope.type === "edit"
+      ? { ...existing.value, text: envelope.text, edited: true }
+      : { ...existing.value, text: "", deleted: true };
   }
+
+  // Writing keeps the room's setting alive for another retention period
+  const messageKey = ["chat_history", room, "messages", record.id];
+  const result = await kv.atomic()
+    .check({ key: messageKey, versionstamp })
+    .set(messageKey, record, { expireIn: chatHistoryRetentionMs })
+    .set(chatHistorySettingsKey(room), { enabled: true, updatedAt: Date.now() }, {
+      expireIn: chatHistoryRetentionMs,
+    })
+    .commit();
+  if (!result.ok) {
+    return envelope.type === "text"
+      ? { error: `Message ID '${record.id}' is already taken`, status: 409 }
+      : { error: `Message '${record.id}' was changed at the same time; try again`, status: 409 };
+  }
+  log.debug("Stored chat history message", {
+    room,
+    type: envelope.type,
+    messageId: record.id,
+  });
+  return { record };
 }
 
-async function fetchTwilioIceServers() {
-  if (!twilioAccountSid || !twilioAuthToken) {
-    console.log(
-      "Twilio credentials not available, returning only public STUN.",
-    );
-    return [{ urls: "stun:stun.l.google.com:19302" }]; // Fallback or default
+function formatTranscriptMarkdown(room, messages) {
+  const lines = [
+    `# Chat transcript: ${room}`,
+    "",
+    `Exported ${new Date().toISOString()}`,
+    "",
+  ];
+  for (const message of messages) {
+    const time = new Date(message.ts).toISOString().replace("T", " ").substring(0, 19);
+    const text = message.deleted ? "_(message deleted)_" : message.text.replace(/\n/g, "  \n  ");
+    lines.push(`- **${time} ${message.sender}**: ${text}${message.edited && !message.deleted ? " _(edited)_" : ""}`);
   }
+  return lines.join("\n") + "\n";
+}
 
-  const twilioApiUrl = `https://api.twilio.com/2010-04-01/Accounts/${twilioAccountSid}/Tokens.json`;
-  try {
-    const response = await fetch(twilioApiUrl, {
-      method: "POST",
-      headers: {
-        Authorization:
-          "Basic " + btoa(`${twilioAccountSid}:${twilioAuthToken}`),
+// --- Connection diagnostics ---
+// Clients report what happened while connecting (see public/diagnostics.js). Reports are kept
+// for DIAGNOSTICS_RETENTION_HOURS; a session that reports again replaces its earlier report.
+//   ["diagnostics", sessionId] -> report
+function truncateString(value, maxLength) {
+  return typeof value === "string" ? value.substring(0, maxLength) : null;
+}
+
+function diagnosticsTimestamp(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+// Keeps only known fields, with lengths and list sizes capped. Candidate addresses are dropped
+// unless the user opted in. Returns { report }, or { error, status }.
+function sanitizeDiagnosticsReport(body) {
+  if (
+    !body || typeof body !== "object" || !isValidPeerId(body.sessionId) ||
+    !isValidRoomId(body.room)
+  ) {
+    return { error: "Invalid report. Expected { sessionId, room, ... }.", status: 400 };
+  }
+  const list = (name) =>
+    Array.isArray(body[name]) ? body[name].slice(0, DIAGNOSTICS_LIST_LIMITS[name]) : [];
+  const peerOf = (entry) => isValidPeerId(entry.peer) ? entry.peer : null;
+  const includeAddresses = body.includeAddresses === true;
+
+  const events = list("events")
+    .filter((event) => event && DIAGNOSTIC_EVENT_KINDS.includes(event.kind))
+    .map((event) => ({
+      ts: diagnosticsTimestamp(event.ts),
+      peer: peerOf(event),
+      kind: event.kind,
+      state: truncateString(event.state, 64),
+    }));
+  const candidates = list("candidates")
+    .filter((candidate) => candidate && (candidate.side === "local" || candidate.side === "remote"))
+    .map((candidate) => ({
+      ts: diagnosticsTimestamp(candidate.ts),
+      peer: peerOf(candidate),
+      side: candidate.side,
+      type: truncateString(candidate.type, 16),
+      protocol: truncateString(candidate.protocol, 8),
+      ...(includeAddresses
+        ? {
+          address: truncateString(candidate.address, 64),
+          port: Number.isInteger(candidate.port) ? candidate.port : null,
+        }
+        : {}),
+    }));
+  const errors = list("errors")
+    .filter((error) => error && typeof error.message === "string")
+    .map((error) => ({
+      ts: diagnosticsTimestamp(error.ts),
+      peer: peerOf(error),
+      message: error.message.substring(0, 500),
+    }));
+  const browser = body.browser && typeof body.browser === "object" ? body.browser : {};
+
+  return {
+    report: {
+      sessionId: body.sessionId,
+      room: body.room,
+      peerId: isValidPeerId(body.peerId) ? body.peerId : null,
+      startedAt: diagnosticsTimestamp(body.startedAt),
+      endedAt: diagnosticsTimestamp(body.endedAt),
+      receivedAt: Date.now(),
+      // A session counts as failed if anything went wrong, even if it recovered
+      failed: errors.length > 0 ||
+        events.some((event) => event.kind === "ice" && event.state === "failed"),
+      connected: events.some((event) =>
+        event.kind === "ice" && (event.state === "connected" || event.state === "completed")
+      ),
+      includeAddresses,
+      browser: {
+        userAgent: truncateString(browser.userAgent, 300),
+        language: truncateString(browser.language, 35),
+        platform: truncateString(browser.platform, 64),
       },
+      iceServerUrls: list("iceServerUrls")
+        .map((url) => truncateString(url, 200))
+        .filter(Boolean),
+      events,
+      candidates,
+      errors,
+      dropped: Number.isInteger(body.dropped) ? body.dropped : 0,
+    },
+  };
+}
+
+async function storeDiagnosticsReport(report) {
+  const key = ["diagnostics", report.sessionId];
+  const existing = await kv.get(key);
+  if (existing.value !== null && existing.value.room !== report.room) {
+    return { error: "Session ID belongs to another room", status: 409 };
+  }
+  await kv.set(key, report, { expireIn: diagnosticsRetentionMs });
+  diagnosticsReportCounter.inc({ failed: String(report.failed) });
+  log.info("Stored diagnostics report", {
+    room: report.room,
+    sessionId: report.sessionId,
+    failed: report.failed,
+    errors: report.errors.length,
+  });
+  return { report };
+}
+
+// Newest first, as summaries; the full report is at /api/diagnostics/<sessionId>
+async function listDiagnosticsReports(failedOnly, limit) {
+  const summaries = [];
+  for await (const entry of kv.list({ prefix: ["diagnostics"] })) {
+    const report = entry.value;
+    if (failedOnly && !report.failed) {
+      continue;
+    }
+    summaries.push({
+      sessionId: report.sessionId,
+      room: report.room,
+      peerId: report.peerId,
+      startedAt: report.startedAt,
+      endedAt: report.endedAt,
+      receivedAt: report.receivedAt,
+      failed: report.failed,
+      connected: report.connected,
+      userAgent: report.browser.userAgent,
+      errorCount: report.errors.length,
+      lastError: report.errors.at(-1)?.message ?? null,
     });
+  }
+  summaries.sort((a, b) => b.receivedAt - a.receivedAt);
+  return summaries.slice(0, limit);
+}
 
-    if (!response.ok) {
-      console.error(
-        `Failed to fetch ICE servers from Twilio: ${response.status} ${await response.text()}`,
-      );
-      return [{ urls: "stun:stun.l.google.com:19302" }]; // Fallback
+// Compares in constant time, so the token can't be guessed a character at a time
+function isAdminToken(token) {
+  if (typeof token !== "string" || token.length !== adminToken.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < token.length; i++) {
+    difference |= token.charCodeAt(i) ^ adminToken.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+// Returns null if the request carries ADMIN_TOKEN (header or "token" query parameter),
+// otherwise the error Response
+function authorizeAdmin(req, url) {
+  if (!adminToken) {
+    return new Response("Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.", {
+      status: 403,
+    });
+  }
+  const authorization = req.headers.get("authorization") || "";
+  const token = authorization.startsWith("Bearer ")
+    ? authorization.substring("Bearer ".length)
+    : url.searchParams.get("token");
+  if (!isAdminToken(token)) {
+    return authorizationFailure({ error: "Missing or invalid admin token", status: 401 });
+  }
+  return null;
+}
+
+// --- WebSocket signaling ---
+// Sockets are tracked in-process per room and peer. Signals are still written to KV first,
+// so a peer without a socket (HTTP polling fallback) sees exactly the same data.
+const roomSockets = new Map(); // room -> Map<peerId, WebSocket>
+
+function sendToPeer(room, peerId, message) {
+  const socket = roomSockets.get(room)?.get(peerId);
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function broadcastToRoom(room, message, exceptPeerId = null) {
+  const sockets = roomSockets.get(room);
+  if (!sockets) {
+    return;
+  }
+  const data = JSON.stringify(message);
+  for (const [peerId, socket] of sockets) {
+    if (peerId !== exceptPeerId && socket.readyState === WebSocket.OPEN) {
+      socket.send(data);
     }
+  }
+}
 
-    const data = await response.json();
-    const iceServers = [
-      { urls: "stun:stun.l.google.com:19302" },
-      ...data.ice_servers,
-    ];
-    console.log(
-      "Fetched ICE servers from Twilio:",
-      iceServers.map((s) => s.urls),
-    );
-    return iceServers;
+function handleSignalingSocket(req, room, peerId, address) {
+  const { socket, response } = Deno.upgradeWebSocket(req);
+
+  socket.onopen = () => {
+    if (!roomSockets.has(room)) {
+      roomSockets.set(room, new Map());
+    }
+    const previousSocket = roomSockets.get(room).get(peerId);
+    roomSockets.get(room).set(peerId, socket);
+    if (previousSocket) {
+      previousSocket.close(); // The same peer reconnected
+    }
+    log.info("WebSocket opened", {
+      room,
+      peerId,
+      connected: roomSockets.get(room).size,
+    });
+  };
+
+  // Rejections carry the status a POST would have got; a rate-limited signal is echoed back
+  // so the client can resend it once retryAfter has passed
+  const sendRejection = (rejection, signal) => {
+    recordSignalRejection(rejection, { room, from: peerId, type: signal?.type });
+    socket.send(JSON.stringify({
+      type: "error",
+      message: rejection.error,
+      status: rejection.status,
+      ...(rejection.retryAfter ? { retryAfter: rejection.retryAfter, signal } : {}),
+    }));
+  };
+
+  socket.onmessage = async (event) => {
+    try {
+      const size = typeof event.data === "string"
+        ? new TextEncoder().encode(event.data).length
+        : event.data.byteLength ?? event.data.size;
+      if (size > MAX_SIGNAL_BODY_BYTES) {
+        sendRejection({
+          error: `Signal too large (maximum ${MAX_SIGNAL_BODY_BYTES} bytes)`,
+          status: 413,
+          reason: "too_large",
+        });
+        return;
+      }
+      const signal = JSON.parse(event.data); // Expects { type, to, seq, payload }, same as POST /signal
+      if (!isPlainObject(signal) || signal.payload === undefined) {
+        sendRejection({
+          error: "Invalid signal data. Expected { type, to, seq, payload }.",
+          status: 422,
+          reason: "invalid",
+        });
+        return;
+      }
+      signal.from = peerId; // A socket can only speak for the peer it was opened for
+      const limited = await checkSignalRateLimits(address, room);
+      if (limited) {
+        sendRejection(limited, signal);
+        return;
+      }
+      const stored = await storeSignal(room, signal);
+      if (stored.error) {
+        sendRejection(stored, signal);
+        return;
+      }
+      sendToPeer(room, signal.to, { ...stored.signal, key: stored.key });
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        sendRejection({ error: "Signal must be JSON", status: 400, reason: "invalid" });
+        return;
+      }
+      log.error("Error processing WebSocket signal", { room, peerId, error });
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({
+          type: "error",
+          message: "Error storing signal: " + error.message,
+        }));
+      }
+    }
+  };
+
+  socket.onclose = () => {
+    const sockets = roomSockets.get(room);
+    if (sockets && sockets.get(peerId) === socket) {
+      sockets.delete(peerId);
+      if (sockets.size === 0) {
+        roomSockets.delete(room);
+      }
+    }
+    log.info("WebSocket closed", { room, peerId });
+  };
+
+  socket.onerror = (error) => {
+    log.warn("WebSocket error", { room, peerId, error: error.message ?? String(error) });
+  };
+
+  return response;
+}
+
+function servePublicFile(req, fileName) {
+  const publicDirPath = Deno.realPathSync(publicDir);
+  return serveFile(req, `${publicDirPath}/${fileName}`);
+}
+
+// --- Health check ---
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Runs one check, returning { ok, latencyMs } plus the error message if it failed
+async function runHealthCheck(what, check) {
+  const startedAt = performance.now();
+  try {
+    await withTimeout(check(), HEALTH_CHECK_TIMEOUT_MS, what);
+    return { ok: true, latencyMs: Math.round(performance.now() - startedAt) };
   } catch (error) {
-    console.error("Error fetching ICE servers from Twilio:", error);
-    return [{ urls: "stun:stun.l.google.com:19302" }];
+    return {
+      ok: false,
+      latencyMs: Math.round(performance.now() - startedAt),
+      error: error.message,
+    };
   }
 }
 
-async function handler(req) {
+// KV must answer a read; the ICE provider must return servers (normally from its cache, so
+// this doesn't call Twilio on every probe). Without a valid provider configuration the server
+// still hands out public STUN, but TURN is gone, so that counts as unhealthy too.
+async function checkHealth() {
+  const checks = {
+    kv: kv
+      ? await runHealthCheck("Deno KV", () => kv.get(["healthz"]))
+      : { ok: false, error: "Deno KV not initialized" },
+    iceProvider: iceServerSource
+      ? {
+        provider: iceServerSource.name,
+        ...await runHealthCheck("ICE provider", () => iceServerSource.getIceServers()),
+      }
+      : { ok: false, error: "Invalid ICE provider configuration" },
+  };
+  const ok = Object.values(checks).every((check) => check.ok);
+  return { status: ok ? "ok" : "unhealthy", checks };
+}
+
+// --- HTTP ---
+// Route label for metrics and logs: the matched route, with IDs replaced, so the number of
+// label values stays small
+function routeLabel(pathname) {
+  if (pathname.startsWith("/r/")) {
+    return "/r/:room";
+  }
+  const apiRoomMatch = pathname.match(
+    /^\/api\/rooms\/[^/]+\/(token|messages|messages\/export|history)$/,
+  );
+  if (apiRoomMatch) {
+    return `/api/rooms/:room/${apiRoomMatch[1]}`;
+  }
+  if (pathname.startsWith("/api/diagnostics/")) {
+    return "/api/diagnostics/:sessionId";
+  }
+  const knownRoutes = [
+    "/",
+    "/new",
+    "/api/ice-servers",
+    "/api/rooms",
+    "/api/diagnostics",
+    "/admin/diagnostics",
+    "/ws",
+    "/signal",
+    "/signal/join",
+    "/signal/heartbeat",
+    "/metrics",
+    "/healthz",
+  ];
+  return knownRoutes.includes(pathname) ? pathname : "static";
+}
+
+// Every request is logged and counted once it has a response
+export async function handler(req, info) {
+  const startedAt = performance.now();
   const url = new URL(req.url);
+  const route = routeLabel(url.pathname);
+  let status = 500;
+  try {
+    const response = await routeRequest(req, url, info);
+    status = response.status;
+    return response;
+  } finally {
+    httpResponseCounter.inc({ route, method: req.method, status });
+    log.info("HTTP request", {
+      method: req.method,
+      path: url.pathname,
+      route,
+      status,
+      durationMs: Math.round(performance.now() - startedAt),
+    });
+  }
+}
+
+async function routeRequest(req, url, info) {
   const pathname = url.pathname;
   const method = req.method;
 
-  console.log(`${method} ${pathname}`);
+  if (pathname === "/metrics" && method === "GET") {
+    return new Response(await metrics.render(), {
+      status: 200,
+      headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" },
+    });
+  }
+
+  if (pathname === "/healthz" && method === "GET") {
+    const health = await checkHealth();
+    if (health.status !== "ok") {
+      log.warn("Health check failed", { checks: health.checks });
+    }
+    return new Response(JSON.stringify(health), {
+      status: health.status === "ok" ? 200 : 503,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
 
   if (pathname === "/api/ice-servers" && method === "GET") {
     try {
-      const iceServers = await fetchTwilioIceServers();
+      const iceServers = await getIceServers();
       return new Response(JSON.stringify(iceServers), {
         status: 200,
         headers: { "Content-Type": "application/json" },
       });
     } catch (error) {
-      console.error("Error providing ICE servers:", error);
+      log.error("Error providing ICE servers", { error });
       return new Response("Error fetching ICE server configuration", {
         status: 500,
       });
     }
   }
 
+  // Lobby at "/", call page at "/?room=<id>" or "/r/<id>"
+  if (pathname === "/" && method === "GET") {
+    const room = url.searchParams.get("room");
+    if (room === null) {
+      return await servePublicFile(req, "lobby.html");
+    }
+    if (!isValidRoomId(room)) {
+      return new Response("Invalid room ID", { status: 400 });
+    }
+    return await servePublicFile(req, "index.html");
+  }
+
+  const roomPathMatch = pathname.match(/^\/r\/([^/]+)\/?$/);
+  if (roomPathMatch && method === "GET") {
+    if (!isValidRoomId(roomPathMatch[1])) { // Valid IDs never need URL-encoding
+      return new Response("Invalid room ID", { status: 400 });
+    }
+    return await servePublicFile(req, "index.html");
+  }
+
+  // The page itself holds no data; it asks for the admin token and calls /api/diagnostics
+  if (pathname === "/admin/diagnostics" && method === "GET") {
+    return await servePublicFile(req, "admin_diagnostics.html");
+  }
+
+  if (pathname === "/new" && method === "GET") {
+    const room = generateRoomId();
+    // The lobby's "Start a Broadcast" opens the new room as its presenter
+    const query = url.searchParams.get("broadcast") === "presenter" ? "?broadcast=presenter" : "";
+    log.info("Created new room", { room, broadcast: query !== "" });
+    return Response.redirect(new URL(`/r/${room}${query}`, url), 302);
+  }
+
+  if (pathname === "/api/rooms" && method === "GET") {
+    if (!kv) {
+      return new Response(
+        "Room listing unavailable: Deno KV not initialized.",
+        { status: 503 },
+      );
+    }
+    try {
+      const rooms = await listActiveRooms();
+      return new Response(JSON.stringify(rooms), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      });
+    } catch (error) {
+      log.error("Error listing rooms", { error });
+      return new Response("Error listing rooms: " + error.message, {
+        status: 500,
+      });
+    }
+  }
+
+  // Pre-join token. Rooms are open to anyone with the link; the token ties the following
+  // signaling calls to the room, and the one issued on join ties them to a participant.
+  // Anyone can get one, so it is not access control: it is only accepted for joining, reading
+  // the roster and sending diagnostics. Everything else needs a participant's token.
+  const tokenPathMatch = pathname.match(/^\/api\/rooms\/([^/]+)\/token$/);
+  if (tokenPathMatch) {
+    const room = tokenPathMatch[1];
+    if (!isValidRoomId(room)) {
+      return new Response("Invalid room ID", { status: 400 });
+    }
+    if (method !== "POST") {
+      return new Response(`Method not allowed for ${pathname}`, {
+        status: 405,
+      });
+    }
+    const issued = await tokenSigner.issue({ room }, ROOM_TOKEN_TTL_MS);
+    return new Response(JSON.stringify(issued), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  // Chat history: /api/rooms/<room>/messages, /messages/export and /history
+  const historyPathMatch = pathname.match(
+    /^\/api\/rooms\/([^/]+)\/(messages|messages\/export|history)$/,
+  );
+  if (historyPathMatch) {
+    const [, room, resource] = historyPathMatch;
+    if (!kv) {
+      return new Response(
+        "Chat history unavailable: Deno KV not initialized.",
+        { status: 503 },
+      );
+    }
+    if (!isValidRoomId(room)) {
+      return new Response("Invalid room ID", { status: 400 });
+    }
+    try {
+      // Only participants may read or change the history, and only while they are in the room
+      const peerId = url.searchParams.get("peer");
+      if (!isValidPeerId(peerId)) {
+        return new Response("Missing or invalid 'peer' query parameter", {
+          status: 400,
+        });
+      }
+      const auth = await authorize(req, url, room, peerId);
+      if (auth.error) {
+        return authorizationFailure(auth);
+      }
+      const rosterEntry = await kv.get(["webrtc_signal", room, "peers", peerId]);
+      if (!isRosterEntryFresh(rosterEntry.value)) {
+        return new Response("Peer is not on the room roster", { status: 403 });
+      }
+      if (resource === "messages" && method === "GET") {
+        const limit = Math.min(
+          Number(url.searchParams.get("limit")) || DEFAULT_CHAT_HISTORY_LIMIT,
+          MAX_CHAT_HISTORY_LIMIT,
+        );
+        const enabled = await isChatHistoryEnabled(room);
+        const messages = enabled ? await listChatHistory(room, limit) : [];
+        return new Response(
+          JSON.stringify({
+            enabled,
+            retentionHours: chatHistoryRetentionMs / (60 * 60 * 1000),
+            messages,
+          }),
+          { status: 200, headers: { "Content-Type": "application/json" } },
+        );
+      }
+      if (resource === "messages/export" && method === "GET") {
+        const format = url.searchParams.get("format") || "json";
+        if (format !== "json" && format !== "markdown") {
+          return new Response("Invalid 'format' (expected json or markdown)", {
+            status: 400,
+          });
+        }
+        if (!(await isChatHistoryEnabled(room))) {
+          return new Response(`Chat history is not enabled for room '${room}'`, { status: 403 });
+        }
+        const messages = await listChatHistory(room, Infinity);
+        const isJson = format === "json";
+        return new Response(
+          isJson
+            ? JSON.stringify({ room, exportedAt: new Date().toISOString(), messages }, null, 2)
+            : formatTranscriptMarkdown(room, messages),
+          {
+            status: 200,
+            headers: {
+              "Content-Type": isJson ? "application/json" : "text/markdown; charset=utf-8",
+              "Content-Disposition": `attachment; filename="chat-${room}.${isJson ? "json" : "md"}"`,
+            },
+          },
+        );
+      }
+      if (method !== "POST" && method !== "PUT") {
+        return new Response(`Method not allowed for ${pathname}`, {
+          status: 405,
+        });
+      }
+      const bodyResult = await readBodyText(req, MAX_CHAT_HISTORY_BODY_BYTES);
+      if (bodyResult.error) {
+        return new Response(bodyResult.error, { status: bodyResult.status });
+      }
+      const body = JSON.parse(bodyResult.text);
+      if (resource === "messages" && method === "POST") {
+        const { record, error, status } = await storeChatHistoryMessage(room, peerId, body);
+        if (error) {
+          return new Response(error, { status });
+        }
+        return new Response(JSON.stringify(record), {
+          status: 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      }
+      if (resource === "history" && method === "PUT") {
+        if (body === null || typeof body !== "object" || typeof body.enabled !== "boolean") {
+          return new Response("Expected { enabled: true | false }", { status: 400 });
+        }
+        if (body.enabled && (await kv.get(keyCheckKey(room))).value !== null) {
+          // Saved messages would be readable by the server, defeating the passphrase
+          return new Response(
+            "Chat history is not available in passphrase-protected rooms",
+            { status: 409 },
+          );
+        }
+        const deletedCount = await setChatHistoryEnabled(room, body.enabled);
+        return new Response(
+          JSON.stringify({ enabled: body.enabled, deleted: deletedCount }),
+          { status: 200, headers: { "Content-Type": "application/json" } },
+        );
+      }
+      return new Response(`Method not allowed for ${pathname}`, {
+        status: 405,
+      });
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        return new Response("Request body must be JSON", { status: 400 });
+      }
+      log.error("Error accessing chat history", { method, path: pathname, error });
+      return new Response("Error accessing chat history: " + error.message, {
+        status: 500,
+      });
+    }
+  }
+
+  // Diagnostics: POST a report (room token), or list and read them (admin token)
+  const diagnosticsPathMatch = pathname.match(/^\/api\/diagnostics(?:\/([^/]+))?$/);
+  if (diagnosticsPathMatch) {
+    const sessionId = diagnosticsPathMatch[1];
+    if (!kv) {
+      return new Response(
+        "Diagnostics unavailable: Deno KV not initialized.",
+        { status: 503 },
+      );
+    }
+    try {
+      if (method === "POST" && !sessionId) {
+        const body = await readBodyText(req, MAX_DIAGNOSTICS_REPORT_BYTES);
+        if (body.error) {
+          return new Response(body.error, { status: body.status });
+        }
+        const { report, error, status } = sanitizeDiagnosticsReport(JSON.parse(body.text));
+        if (error) {
+          return new Response(error, { status });
+        }
+        const auth = await authorize(req, url, report.room);
+        if (auth.error) {
+          return authorizationFailure(auth);
+        }
+        const stored = await storeDiagnosticsReport(report);
+        if (stored.error) {
+          return new Response(stored.error, { status: stored.status });
+        }
+        return new Response(JSON.stringify({ message: "Report stored" }), {
+          status: 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      }
+      if (method !== "GET") {
+        return new Response(`Method not allowed for ${pathname}`, {
+          status: 405,
+        });
+      }
+      const adminFailure = authorizeAdmin(req, url);
+      if (adminFailure) {
+        return adminFailure;
+      }
+      if (sessionId) {
+        const entry = await kv.get(["diagnostics", sessionId]);
+        if (entry.value === null) {
+          return new Response(`Report '${sessionId}' not found`, { status: 404 });
+        }
+        return new Response(JSON.stringify(entry.value), {
+          status: 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      }
+      const limit = Math.min(
+        Number(url.searchParams.get("limit")) || DEFAULT_DIAGNOSTICS_LIST_LIMIT,
+        MAX_DIAGNOSTICS_LIST_LIMIT,
+      );
+      const failedOnly = url.searchParams.get("failed") !== "false";
+      const reports = await listDiagnosticsReports(failedOnly, limit);
+      return new Response(JSON.stringify(reports), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      });
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        return new Response("Request body must be JSON", { status: 400 });
+      }
+      log.error("Error processing diagnostics", { method, path: pathname, error });
+      return new Response("Error processing diagnostics: " + error.message, {
+        status: 500,
+      });
+    }
+  }
+
+  if (pathname === "/ws" && kv) {
+    const room = url.searchParams.get("room");
+    if (!isValidRoomId(room)) {
+      return new Response("Missing or invalid 'room' query parameter", {
+        status: 400,
+      });
+    }
+    const peerId = url.searchParams.get("peer");
+    if (!isValidPeerId(peerId)) {
+      return new Response("Missing or invalid 'peer' query parameter", {
+        status: 400,
+      });
+    }
+    if (req.headers.get("upgrade")?.toLowerCase() !== "websocket") {
+      return new Response("Expected a WebSocket upgrade request", {
+        status: 426,
+      });
+    }
+    const auth = await authorize(req, url, room, peerId);
+    if (auth.error) {
+      return authorizationFailure(auth);
+    }
+    return handleSignalingSocket(req, room, peerId, clientAddress(req, info));
+  } else if (pathname === "/ws" && !kv) {
+    return new Response(
+      "Signaling service unavailable: Deno KV not initialized.",
+      { status: 503 },
+    );
+  }
+
+  if ((pathname === "/signal/join" || pathname === "/signal/heartbeat") && kv) {
+    const room = url.searchParams.get("room");
+    if (!isValidRoomId(room)) {
+      return new Response("Missing or invalid 'room' query parameter", {
+        status: 400,
+      });
+    }
+    if (method !== "POST") {
+      return new Response(`Method not allowed for ${pathname}`, {
+        status: 405,
+      });
+    }
+    try {
+      if (pathname === "/signal/join") {
+        const auth = await authorize(req, url, room); // Any token for this room
+        if (auth.error) {
+          return authorizationFailure(auth);
+        }
+        // Optional { keyCheck } for passphrase-protected rooms and { broadcast } for broadcasts
+        const body = await readBodyText(req, MAX_JOIN_BODY_BYTES);
+        if (body.error) {
+          return new Response(body.error, { status: body.status });
+        }
+        const joinRequest = body.text ? JSON.parse(body.text) : {};
+        if (!isPlainObject(joinRequest)) {
+          return new Response("Join request must be a JSON object", { status: 400 });
+        }
+        const keyCheck = joinRequest.keyCheck ?? null;
+        if (
+          keyCheck !== null &&
+          (typeof keyCheck !== "string" || keyCheck.length > MAX_KEY_CHECK_LENGTH)
+        ) {
+          return new Response("Invalid 'keyCheck'", { status: 400 });
+        }
+        const broadcast = joinRequest.broadcast ?? null;
+        if (broadcast !== null && !BROADCAST_ROLES.includes(broadcast)) {
+          return new Response("Invalid 'broadcast': expected \"presenter\" or \"viewer\"", {
+            status: 400,
+          });
+        }
+        const joinResult = await joinRoom(room, keyCheck, broadcast);
+        if (joinResult.error) {
+          return new Response(joinResult.error, { status: joinResult.status });
+        }
+        const { token, expiresAt } = await tokenSigner.issue(
+          { room, peer: joinResult.peerId },
+          PEER_TOKEN_TTL_MS,
+        );
+        return new Response(JSON.stringify({ ...joinResult, token, tokenExpiresAt: expiresAt }), {
+          status: 200,
+          headers: { "Content-Type": "application/json" },
+        });
+      }
+      const peerId = url.searchParams.get("peer");
+      if (!isValidPeerId(peerId)) {
+        return new Response("Missing or invalid 'peer' query parameter", {
+          status: 400,
+        });
+      }
+      const auth = await authorize(req, url, room, peerId);
+      if (auth.error) {
+        return authorizationFailure(auth);
+      }
+      if (!(await refreshPeer(room, peerId))) {
+        return new Response("Peer is not on the room roster", { status: 404 });
+      }
+      const { token, expiresAt } = await tokenSigner.issue(
+        { room, peer: peerId },
+        PEER_TOKEN_TTL_MS,
+      );
+      return new Response(JSON.stringify({ message: "Heartbeat recorded", token, tokenExpiresAt: expiresAt }), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      });
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        return new Response("Request body must be JSON", { status: 400 });
+      }
+      log.error("Error updating room roster", { path: pathname, error });
+      return new Response("Error updating room roster: " + error.message, {
+        status: 500,
+      });
+    }
+  }
+
   if (pathname === "/signal" && kv) {
-    const room = url.searchParams.get("room") || "default-room";
-    const type = url.searchParams.get("type"); // For GET/DELETE of offer/answer, or to identify candidate type
-    const candidateKeyParam = url.searchParams.get("candidateKey"); // For DELETE of specific candidate
+    const room = url.searchParams.get("room");
+    const type = url.searchParams.get("type"); // For GET: "peers", or the signal type to fetch
+    const peerId = url.searchParams.get("peer"); // For GET of signals: the recipient
+    const keyParam = url.searchParams.get("key"); // For DELETE of a specific signal
+    const deleteAll = url.searchParams.get("all") === "true"; // For bulk DELETE: one peer's data, or the whole room
 
     if (!room) {
       return new Response("Missing 'room' query parameter", { status: 400 });
     }
+    if (!isValidRoomId(room)) {
+      return new Response("Invalid 'room' query parameter", { status: 400 });
+    }
 
     if (method === "POST") {
       try {
-        const signal = await req.json(); // Expects { type, payload }
-        if (!signal.type || signal.payload === undefined) { // payload can be null for end-of-candidates marker if we were to send it
-          return new Response(
-            "Invalid signal data. Expected { type, payload }.",
-            { status: 400 },
-          );
+        const body = await readBodyText(req, MAX_SIGNAL_BODY_BYTES);
+        if (body.error) {
+          return signalRejectionResponse(body, { room });
         }
+        const signal = JSON.parse(body.text); // Expects { type, from, to, seq, payload }; seq only for offer/answer
+        if (!isPlainObject(signal) || !signal.type || signal.payload === undefined) {
+          return signalRejectionResponse({
+            error: "Invalid signal data. Expected { type, from, to, seq, payload }.",
+            status: 422,
+            reason: "invalid",
+          }, { room });
+        }
+        // Only speak for yourself. A missing sender must not fall back to the room-wide check.
+        const auth = await authorize(req, url, room, signal.from ?? "");
+        if (auth.error) {
+          return authorizationFailure(auth);
+        }
+        const context = { room, from: signal.from, type: signal.type };
+        const limited = await checkSignalRateLimits(clientAddress(req, info), room);
+        if (limited) {
+          return signalRejectionResponse(limited, context);
+        }
+
+        const stored = await storeSignal(room, signal);
+        if (stored.error) {
+          return signalRejectionResponse(stored, context);
+        }
+        sendToPeer(room, signal.to, { ...stored.signal, key: stored.key });
 
-        let kvKey;
-        if (signal.type === "offer" || signal.type === "answer") {
-          kvKey = ["webrtc_signal", room, signal.type];
-          await kv.set(kvKey, signal.payload);
-          console.log(`Stored ${signal.type} for room '${room}'`);
-        } else if (signal.type === "candidate_initiator") { // Candidate from initiator, for receiver
-          kvKey = ["webrtc_signal", room, "candidates_for_receiver", crypto.randomUUID()];
-          await kv.set(kvKey, signal.payload);
-          console.log(`Stored initiator candidate for room '${room}', key: ${kvKey[3]}`);
-        } else if (signal.type === "candidate_receiver") { // Candidate from receiver, for initiator
-          kvKey = ["webrtc_signal", room, "candidates_for_initiator", crypto.randomUUID()];
-          await kv.set(kvKey, signal.payload);
-          console.log(`Stored receiver candidate for room '${room}', key: ${kvKey[3]}`);
-        } else {
-          return new Response("Invalid signal type for POST", { status: 400 });
-        }
-        
         return new Response(JSON.stringify({ message: "Signal stored" }), {
           status: 200,
           headers: { "Content-Type": "application/json" },
         });
       } catch (error) {
-        console.error("Error processing POST /signal:", error);
+        if (error instanceof SyntaxError) {
+          return new Response("Request body must be JSON", { status: 400 });
+        }
+        log.error("Error processing POST /signal", { room, error });
         return new Response("Error storing signal: " + error.message, {
           status: 500,
         });
@@ -152,76 +1806,114 @@ async function handler(req) {
         return new Response("Missing 'type' query parameter for GET request", { status: 400 });
       }
       try {
-        if (type === "offer" || type === "answer") {
-          const kvEntry = await kv.get(["webrtc_signal", room, type]);
-          if (kvEntry && kvEntry.value !== null) {
-            console.log(`Retrieved ${type} for room '${room}'`);
-            return new Response(
-              JSON.stringify({ type: type, payload: kvEntry.value }),
-              { status: 200, headers: { "Content-Type": "application/json" } },
-            );
+        if (type === "peers") {
+          const auth = await authorize(req, url, room);
+          if (auth.error) {
+            return authorizationFailure(auth);
           }
-        } else if (type === "candidate_initiator") { // Receiver is asking for initiator's candidates
-          const candidates = [];
-          const prefix = ["webrtc_signal", room, "candidates_for_receiver"];
-          for await (const entry of kv.list({ prefix })) {
-            candidates.push({ payload: entry.value, key: entry.key });
-          }
-          console.log(`Retrieved ${candidates.length} initiator candidates for room '${room}'`);
-          return new Response(JSON.stringify(candidates), { // Return as an array
+          const peers = await listPeers(room);
+          return new Response(JSON.stringify(peers), {
             status: 200, headers: { "Content-Type": "application/json" },
           });
-        } else if (type === "candidate_receiver") { // Initiator is asking for receiver's candidates
-          const candidates = [];
-          const prefix = ["webrtc_signal", room, "candidates_for_initiator"];
-          for await (const entry of kv.list({ prefix })) {
-            candidates.push({ payload: entry.value, key: entry.key });
-          }
-          console.log(`Retrieved ${candidates.length} receiver candidates for room '${room}'`);
-          return new Response(JSON.stringify(candidates), { // Return as an array
-            status: 200, headers: { "Content-Type": "application/json" },
-          });
-        } else {
-           return new Response("Invalid type for GET request", { status: 400 });
         }
-        // If offer/answer not found or no candidates
-        console.log(`No signal found for room '${room}', type '${type}'`);
-        return new Response(JSON.stringify(type.startsWith("candidate") ? [] : null), { // Empty array for candidates, null for offer/answer
-          status: 404, headers: { "Content-Type": "application/json" },
+        if (!SIGNAL_TYPES.includes(type)) {
+          return new Response("Invalid type for GET request", { status: 400 });
+        }
+        if (!isValidPeerId(peerId)) {
+          return new Response("Missing or invalid 'peer' query parameter for GET request", { status: 400 });
+        }
+        const auth = await authorize(req, url, room, peerId); // Only read your own signals
+        if (auth.error) {
+          return authorizationFailure(auth);
+        }
+        const signals = [];
+        const prefix = ["webrtc_signal", room, type, peerId];
+        for await (const entry of kv.list({ prefix })) {
+          signals.push(
+            type === "candidate"
+              ? { from: entry.key[4], payload: entry.value.payload, key: entry.key }
+              : { from: entry.key[4], seq: entry.value.seq, payload: entry.value.payload, key: entry.key },
+          );
+        }
+        if (signals.length > 0) {
+          signalCounter.inc({ operation: "fetched", type }, signals.length);
+          log.debug("Retrieved signals", { room, peerId, type, count: signals.length });
+        }
+        return new Response(JSON.stringify(signals), { // Always an array, empty if nothing is waiting
+          status: 200, headers: { "Content-Type": "application/json" },
         });
       } catch (error) {
-        console.error("Error processing GET /signal:", error);
+        log.error("Error processing GET /signal", { room, error });
         return new Response("Error retrieving signal: " + error.message, { status: 500 });
       }
     } else if (method === "DELETE") {
-      try {
-        if (candidateKeyParam) { // Deleting a specific candidate
-          const parsedKey = JSON.parse(candidateKeyParam); // Key was stringified by client
-          await kv.delete(parsedKey);
-          console.log(`Deleted candidate with key ${candidateKeyParam} for room '${room}'`);
-          return new Response(JSON.stringify({ message: "Candidate deleted" }), { status: 200 });
-        } else if (type === "offer" || type === "answer") { // Deleting offer or answer
-           if (!type) {
-                return new Response("Missing 'type' query parameter for DELETE request of offer/answer", { status: 400 });
+      if (deleteAll) {
+        try {
+          if (peerId !== null) {
+            if (!isValidPeerId(peerId)) {
+              return new Response("Invalid 'peer' query parameter", { status: 400 });
             }
-          await kv.delete(["webrtc_signal", room, type]);
-          console.log(`Deleted ${type} for room '${room}'`);
-          return new Response(JSON.stringify({ message: `${type} deleted` }), { status: 200 });
-        } else {
-            // Note: We don't have a bulk delete for candidate types by just "type" anymore.
-            // Client must delete specific candidates by their full key.
-            // Or, for robust cleanup on hangup, client could iterate and delete, or server could have a special cleanup endpoint.
-            console.warn(`DELETE request for type '${type}' without specific candidateKey not supported for bulk candidate deletion.`);
-            return new Response("Invalid DELETE request. Must specify candidateKey for candidates, or type for offer/answer.", { status: 400 });
+            const auth = await authorize(req, url, room, peerId);
+            if (auth.error) {
+              return authorizationFailure(auth);
+            }
+            // Leaving: roster entry plus every signal addressed to or from this peer
+            await leaveRoom(room, peerId);
+            return new Response(JSON.stringify({ message: "Left room" }), { status: 200 });
+          }
+          // Clearing the whole room cuts everyone off, so it takes the admin token
+          const adminFailure = authorizeAdmin(req, url);
+          if (adminFailure) {
+            return adminFailure;
+          }
+          const deletedCount = await clearRoom(room);
+          return new Response(
+            JSON.stringify({ message: "Room cleared", deleted: deletedCount }),
+            { status: 200 },
+          );
+        } catch (error) {
+          log.error("Error processing bulk DELETE /signal", { room, error });
+          return new Response("Error deleting signals: " + error.message, { status: 500 });
+        }
+      }
+      if (!keyParam) {
+        return new Response("Invalid DELETE request. Must specify the signal's key, or all=true.", { status: 400 });
+      }
+      try {
+        const auth = await authorize(req, url, room);
+        if (auth.error) {
+          return authorizationFailure(auth);
+        }
+        let parsedKey;
+        try {
+          parsedKey = JSON.parse(keyParam); // Key was stringified by client
+        } catch (_error) {
+          return new Response("Invalid 'key' query parameter", { status: 400 });
+        }
+        if (!isSignalKey(parsedKey)) {
+          return new Response("'key' is not a signal key", { status: 400 });
+        }
+        if (!isOwnSignalKey(parsedKey, room, auth.claims.peer)) {
+          return authorizationFailure({
+            error: "Can only delete signals addressed to you in this room",
+            status: 403,
+          });
         }
+        await kv.atomic()
+          .delete(parsedKey)
+          .set(lastSignalKey(room), Date.now(), { expireIn: SIGNAL_TTL_MS })
+          .commit();
+        signalCounter.inc({ operation: "deleted", type: parsedKey[2] });
+        log.debug("Deleted signal", { room, key: parsedKey });
+        return new Response(JSON.stringify({ message: "Signal deleted" }), { status: 200 });
       } catch (error) {
-        console.error("Error processing DELETE /signal:", error);
+        log.error("Error processing DELETE /signal", { room, error });
         return new Response("Error deleting signal: " + error.message, { status: 500 });
       }
     } else {
       return new Response("Method not allowed for /signal", { status: 405 });
     }
-  } else if (pathname === "/signal" && !kv) {
+  } else if (pathname.startsWith("/signal") && !kv) {
     return new Response(
       "Signaling service unavailable: Deno KV not initialized.",
       { status: 503 },
@@ -230,15 +1922,15 @@ async function handler(req) {
 
   // Serve static files
   try {
-    const publicDirPath = Deno.realPathSync(PUBLIC_DIR_PATH);
+    const publicDirPath = Deno.realPathSync(publicDir);
     return await serveDir(req, {
       fsRoot: publicDirPath,
       urlRoot: "",
-      showDirListing: true,
+      showDirListing: dirListing,
       enableCors: true,
     });
   } catch (error) {
-    console.error(`Error serving static file ${pathname}:`, error);
+    log.error("Error serving static file", { path: pathname, error });
     if (error instanceof Deno.errors.NotFound) {
       return new Response("Not Found", { status: 404 });
     }
@@ -246,5 +1938,133 @@ async function handler(req) {
   }
 }
 
-console.log(`HTTP server running. Access it at: http://localhost:${PORT}/`);
-await serve(handler, { port: PORT });
\ No newline at end of file
+async function startServer() {
+  try {
+    // Load environment variables from .env file
+    await load({ export: true }); // Exports to Deno.env
+  } catch (error) {
+    log.error("Could not load .env", { error });
+  }
+  let config;
+  try {
+    config = loadServerConfig(Deno.args, Deno.env);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    Deno.exit(2);
+  }
+  if (config.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let kvStore = null;
+  let source = null;
+  try {
+    const logLevel = Deno.env.get("LOG_LEVEL");
+    if (logLevel && !setLogLevel(logLevel)) {
+      log.warn("Unknown LOG_LEVEL, using info", { logLevel });
+    }
+    try {
+      const provider = createIceProvider(Deno.env);
+      source = createIceServerSource(provider, {
+        onFetch: (result) => recordIceFetch(provider.name, result),
+      });
+      log.info("Using ICE provider", { provider: source.name });
+    } catch (error) {
+      log.error(
+        "Invalid ICE provider configuration. TURN server functionality will be disabled.",
+        { error: error.message },
+      );
+    }
+    const retentionHours = Number(Deno.env.get("CHAT_HISTORY_RETENTION_HOURS"));
+    if (retentionHours > 0) {
+      chatHistoryRetentionMs = retentionHours * 60 * 60 * 1000;
+    }
+    const diagnosticsRetentionHours = Number(Deno.env.get("DIAGNOSTICS_RETENTION_HOURS"));
+    if (diagnosticsRetentionHours > 0) {
+      diagnosticsRetentionMs = diagnosticsRetentionHours * 60 * 60 * 1000;
+    }
+
+    kvStore = await Deno.openKv(config.kvPath ?? undefined);
+    log.info("Deno KV store opened successfully.", { path: config.kvPath ?? "default" });
+  } catch (error) {
+    log.error("Failed during initial setup (Deno KV or Env Vars)", { error });
+    if (error.name === "PermissionDenied") {
+      log.warn(
+        "Ensure Deno has correct permissions. Run with: deno run --allow-net --allow-read --allow-write --allow-env --unstable-kv --unstable-cron server.js",
+      );
+    } else {
+      log.warn(
+        "Signaling or TURN services might not work. Ensure Deno KV is enabled and .env file is present with correct permissions.",
+      );
+    }
+  }
+
+  // Tokens must survive restarts and be shared between instances, so the secret belongs in .env.
+  // Without one, a random secret still keeps signaling closed, but tokens die with the process.
+  let signalingSecret = Deno.env.get("SIGNALING_SECRET");
+  if (!signalingSecret) {
+    log.warn(
+      "SIGNALING_SECRET is not set. Using a random secret; join tokens will not survive a restart.",
+    );
+    signalingSecret = crypto.randomUUID() + crypto.randomUUID();
+  }
+  await configureServer({
+    kv: kvStore,
+    iceServerSource: source,
+    signalingSecret,
+    adminToken: Deno.env.get("ADMIN_TOKEN") || null,
+    publicDir: config.publicDir,
+    dirListing: config.dirListing,
+    trustProxy: config.trustProxy,
+  });
+
+  if (kv && typeof Deno.cron === "function") {
+    Deno.cron("Sweep idle signaling rooms", IDLE_SWEEP_SCHEDULE, async () => {
+      try {
+        await sweepIdleRooms();
+      } catch (error) {
+        log.error("Error sweeping idle rooms", { error });
+      }
+    });
+  } else if (kv) {
+    log.warn(
+      "Deno.cron unavailable (run with --unstable-cron). Idle rooms will only be cleaned up by KV expiry.",
+    );
+  }
+
+  let certificate = {};
+  if (config.tls) {
+    try {
+      certificate = await loadTlsCertificate(config.tls);
+    } catch (error) {
+      log.error("Could not load the TLS certificate", { error });
+      Deno.exit(1);
+    }
+  }
+  const protocol = config.tls ? "https" : "http";
+  const server = Deno.serve({
+    port: config.port,
+    hostname: config.hostname,
+    ...certificate,
+    onListen({ hostname, port }) {
+      const host = hostname === "0.0.0.0" ? "localhost" : hostname;
+      log.info("Server running", {
+        url: `${protocol}://${host}:${port}/`,
+        hostname,
+        dirListing: config.dirListing,
+      });
+      if (!config.tls && hostname !== "localhost" && hostname !== "127.0.0.1") {
+        log.info(
+          "Browsers only allow camera and microphone on HTTPS or localhost. For other machines, use --self-signed or --tls-cert/--tls-key.",
+        );
+      }
+    },
+  }, handler);
+  await server.finished;
+}
+
+// When imported (by the tests), nothing is started
+if (import.meta.main) {
+  await startServer();
+}
@@ -0,0 +1,688 @@
+// Tests for the signaling server: handler() runs against an in-memory Deno KV store and a stub
+// ICE provider, so nothing touches the network or the real KV database.
+// To run: deno task test
+
+import {
+  assert,
+  assertEquals,
+} from "https://deno.land/std@0.190.0/testing/asserts.ts";
+import { createIceServerSource } from "./ice_servers.js";
+import { setLogLevel } from "./logger.js";
+import { configureServer, handler } from "./server.js";
+
+const ROOM = "test-room";
+const STUB_ICE_SERVERS = [
+  { urls: "stun:stun.example.test:3478" },
+  { urls: "turn:turn.example.test:3478", username: "user", credential: "pass" },
+];
+
+// Stands in for Twilio: same { name, fetchIceServers() } shape, no network
+const stubIceProvider = {
+  name: "stub",
+  fetchIceServers() {
+    return Promise.resolve({ iceServers: STUB_ICE_SERVERS, ttlSeconds: 3600 });
+  },
+};
+
+setLogLevel("error"); // Keep request logs out of the test output
+
+// Runs a test against a fresh server: new in-memory KV, new ICE cache, new signing secret.
+// options are added to configureServer()'s, e.g. { signalLimits }.
+async function withServer(test, options = {}) {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    await configureServer({
+      kv,
+      iceServerSource: createIceServerSource(stubIceProvider),
+      signalingSecret: crypto.randomUUID(),
+      adminToken: "test-admin-token",
+      ...options,
+    });
+    await test(kv);
+  } finally {
+    kv.close();
+  }
+}
+
+// Sends a request through handler(), from remoteAddress. Resolves to { status, body, headers },
+// with body parsed as JSON where it is JSON and left as text otherwise.
+async function request(method, path, { token = null, body, remoteAddress = "192.0.2.1" } = {}) {
+  const headers = {};
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (body !== undefined) {
+    headers["Content-Type"] = "application/json";
+  }
+  const response = await handler(
+    new Request(`http://localhost${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    }),
+    { remoteAddr: { transport: "tcp", hostname: remoteAddress, port: 50000 } },
+  );
+  const text = await response.text();
+  try {
+    return { status: response.status, body: JSON.parse(text), headers: response.headers };
+  } catch (_error) {
+    return { status: response.status, body: text, headers: response.headers };
+  }
+}
+
+async function fetchRoomToken(room = ROOM) {
+  const { status, body } = await request("POST", `/api/rooms/${room}/token`);
+  assertEquals(status, 200);
+  return body.token;
+}
+
+// Joins like the client does: room token first, then /signal/join. Resolves to
+// { peerId, role, peers, broadcast, token } where token is the participant's own token.
+async function join(room = ROOM, { broadcast } = {}) {
+  const { status, body } = await tryJoin(room, { broadcast });
+  assertEquals(status, 200, body);
+  return body;
+}
+
+async function tryJoin(room = ROOM, { broadcast } = {}) {
+  return request("POST", `/signal/join?room=${room}`, {
+    token: await fetchRoomToken(room),
+    body: broadcast === undefined ? undefined : { broadcast },
+  });
+}
+
+function sendSignal(from, to, type, payload, seq, { remoteAddress } = {}) {
+  return request("POST", `/signal?room=${ROOM}`, {
+    token: from.token,
+    body: { type, from: from.peerId, to: to.peerId, seq, payload },
+    remoteAddress,
+  });
+}
+
+// Payloads shaped like what RTCSessionDescription and RTCIceCandidate serialize to
+function description(type, label) {
+  return { type, sdp: `v=0\r\no=- ${label} 2 IN IP4 127.0.0.1\r\ns=-\r\n` };
+}
+
+function iceCandidate(label) {
+  return { candidate: `candidate:${label}`, sdpMid: "0", sdpMLineIndex: 0 };
+}
+
+async function fetchSignals(peer, type) {
+  const { status, body } = await request(
+    "GET",
+    `/signal?room=${ROOM}&type=${type}&peer=${peer.peerId}`,
+    { token: peer.token },
+  );
+  assertEquals(status, 200);
+  return body;
+}
+
+function deleteSignal(peer, key) {
+  return request(
+    "DELETE",
+    `/signal?room=${ROOM}&key=${encodeURIComponent(JSON.stringify(key))}`,
+    { token: peer.token },
+  );
+}
+
+// Calls a chat history endpoint (messages, messages/export or history) as a participant
+function chatHistory(method, resource, peer, { body, query = "" } = {}) {
+  return request(method, `/api/rooms/${ROOM}/${resource}?peer=${peer.peerId}${query}`, {
+    token: peer.token,
+    body,
+  });
+}
+
+function chatText(id, text, sender = "Alice") {
+  return { type: "text", id, sender, ts: Date.now(), text };
+}
+
+// --- Configuration endpoints ---
+
+Deno.test("GET /api/ice-servers returns the provider's servers", async () => {
+  await withServer(async () => {
+    const { status, body } = await request("GET", "/api/ice-servers");
+    assertEquals(status, 200);
+    assertEquals(body, STUB_ICE_SERVERS);
+  });
+});
+
+Deno.test("GET /healthz reports KV and the ICE provider as healthy", async () => {
+  await withServer(async () => {
+    const { status, body } = await request("GET", "/healthz");
+    assertEquals(status, 200);
+    assertEquals(body.status, "ok");
+    assertEquals(body.checks.kv.ok, true);
+    assertEquals(body.checks.iceProvider.provider, "stub");
+  });
+});
+
+// --- Joining ---
+
+Deno.test("first participant waits for offers, later ones send them", async () => {
+  await withServer(async () => {
+    const first = await join();
+    assertEquals(first.role, "receiver");
+    assertEquals(first.peers, []);
+
+    const second = await join();
+    assertEquals(second.role, "initiator");
+    assertEquals(second.peers, [first.peerId]);
+
+    const { body: peers } = await request("GET", `/signal?room=${ROOM}&type=peers`, {
+      token: second.token,
+    });
+    assertEquals(peers.toSorted(), [first.peerId, second.peerId].toSorted());
+  });
+});
+
+Deno.test("a broadcast connects the presenter to every viewer and viewers only to the presenter", async () => {
+  await withServer(async () => {
+    // A viewer may arrive first and wait for the presenter's offer
+    const early = await join(ROOM, { broadcast: "viewer" });
+    assertEquals(early.role, "receiver");
+    assertEquals(early.peers, []);
+    assertEquals(early.broadcast, "viewer");
+
+    const presenter = await join(ROOM, { broadcast: "presenter" });
+    assertEquals(presenter.role, "initiator");
+    assertEquals(presenter.peers, [early.peerId]);
+
+    const late = await join(ROOM, { broadcast: "viewer" });
+    assertEquals(late.role, "initiator");
+    assertEquals(late.peers, [presenter.peerId]);
+
+    assertEquals((await tryJoin(ROOM, { broadcast: "presenter" })).status, 409);
+    assertEquals((await tryJoin(ROOM)).status, 409);
+    assertEquals((await request("GET", "/api/rooms")).body, [
+      { room: ROOM, participants: 3, broadcast: true },
+    ]);
+
+    // Viewers exchange signals with the presenter, never with each other
+    assertEquals((await sendSignal(late, presenter, "offer", description("offer", "late"), 1)).status, 200);
+    assertEquals((await sendSignal(presenter, late, "answer", description("answer", "late"), 1)).status, 200);
+    assertEquals((await sendSignal(presenter, early, "offer", description("offer", "early"), 1)).status, 200);
+    const { status, body } = await sendSignal(late, early, "candidate", iceCandidate("viewer"));
+    assertEquals(status, 403);
+    assertEquals(body, "Viewers can only exchange signals with the presenter");
+  });
+});
+
+Deno.test("joins that don't fit the room's mode are rejected", async () => {
+  await withServer(async () => {
+    await join();
+    assertEquals((await tryJoin(ROOM, { broadcast: "viewer" })).status, 409);
+    assertEquals((await tryJoin(ROOM, { broadcast: "presenter" })).status, 409);
+    assertEquals((await tryJoin(ROOM, { broadcast: "audience" })).status, 400);
+    assertEquals((await request("GET", "/api/rooms")).body, [
+      { room: ROOM, participants: 1, broadcast: false },
+    ]);
+  });
+});
+
+Deno.test("signaling requires a join token for the room and the participant", async () => {
+  await withServer(async () => {
+    const alice = await join();
+    const bob = await join();
+
+    const withoutToken = await request("GET", `/signal?room=${ROOM}&type=peers`);
+    assertEquals(withoutToken.status, 401);
+
+    const otherRoomToken = await fetchRoomToken("other-room");
+    const wrongRoom = await request("GET", `/signal?room=${ROOM}&type=peers`, {
+      token: otherRoomToken,
+    });
+    assertEquals(wrongRoom.status, 403);
+
+    // Bob's token can't send signals as Alice, or read signals addressed to her
+    const impersonated = await sendSignal({ ...alice, token: bob.token }, bob, "offer", { sdp: "x" }, 1);
+    assertEquals(impersonated.status, 403);
+    const snooped = await request(
+      "GET",
+      `/signal?room=${ROOM}&type=offer&peer=${alice.peerId}`,
+      { token: bob.token },
+    );
+    assertEquals(snooped.status, 403);
+
+    // A room token isn't anyone's, so it can't send as a peer even when the signal names none
+    const roomToken = await fetchRoomToken();
+    for (const from of [alice.peerId, undefined]) {
+      const anonymous = await request("POST", `/signal?room=${ROOM}`, {
+        token: roomToken,
+        body: { type: "offer", from, to: bob.peerId, seq: 1, payload: description("offer", "anonymous") },
+      });
+      assertEquals(anonymous.status, 403);
+    }
+    const roomTokenRead = await request(
+      "GET",
+      `/signal?room=${ROOM}&type=offer&peer=${alice.peerId}`,
+      { token: roomToken },
+    );
+    assertEquals(roomTokenRead.status, 403);
+  });
+});
+
+Deno.test("malformed signaling requests are rejected", async () => {
+  await withServer(async () => {
+    const alice = await join();
+
+    assertEquals((await request("GET", "/signal?type=peers")).status, 400);
+    assertEquals((await request("GET", "/signal?room=bad%20room&type=peers")).status, 400);
+    assertEquals(
+      (await request("GET", `/signal?room=${ROOM}`, { token: alice.token })).status,
+      400,
+    );
+    assertEquals(
+      (await request("GET", `/signal?room=${ROOM}&type=bogus&peer=${alice.peerId}`, {
+        token: alice.token,
+      })).status,
+      400,
+    );
+    // Offers and answers need a sequence number
+    const bob = await join();
+    assertEquals((await sendSignal(bob, alice, "offer", description("offer", "x"))).status, 422);
+    assertEquals((await sendSignal(bob, alice, "hello", description("offer", "x"), 1)).status, 422);
+    const notJson = await handler(
+      new Request(`http://localhost/signal?room=${ROOM}`, { method: "POST", body: "{" }),
+    );
+    assertEquals(notJson.status, 400);
+    await notJson.body?.cancel();
+    assertEquals((await request("PUT", `/signal?room=${ROOM}`)).status, 405);
+  });
+});
+
+// --- Signals ---
+
+Deno.test("GET /signal returns an empty array when nothing is waiting", async () => {
+  await withServer(async () => {
+    const alice = await join();
+    for (const type of ["offer", "answer", "candidate"]) {
+      assertEquals(await fetchSignals(alice, type), []);
+    }
+  });
+});
+
+Deno.test("each pair has one offer slot, and stale offers are rejected", async () => {
+  await withServer(async () => {
+    const alice = await join();
+    const bob = await join();
+
+    assertEquals((await sendSignal(bob, alice, "offer", description("offer", "1"), 1)).status, 200);
+    assertEquals((await sendSignal(alice, bob, "answer", description("answer", "1"), 1)).status, 200);
+
+    // Not newer than the offer already stored
+    const stale = await sendSignal(bob, alice, "offer", description("offer", "1-again"), 1);
+    assertEquals(stale.status, 409);
+
+    // A newer offer replaces the old one and drops the unprocessed answer to it
+    assertEquals((await sendSignal(bob, alice, "offer", description("offer", "2"), 2)).status, 200);
+    const offers = await fetchSignals(alice, "offer");
+    assertEquals(offers.length, 1);
+    assertEquals(offers[0].from, bob.peerId);
+    assertEquals(offers[0].seq, 2);
+    assertEquals(offers[0].payload, description("offer", "2"));
+    assertEquals(await fetchSignals(bob, "answer"), []);
+  });
+});
+
+Deno.test("candidates are stored one key each and deleted individually", async () => {
+  await withServer(async () => {
+    const alice = await join();
+    const bob = await join();
+
+    await sendSignal(bob, alice, "candidate", iceCandidate("1"));
+    await sendSignal(bob, alice, "candidate", iceCandidate("2"));
+    const candidates = await fetchSignals(alice, "candidate");
+    assertEquals(
+      candidates.map((candidate) => candidate.payload.candidate).toSorted(),
+      ["candidate:1", "candidate:2"],
+    );
+    const [first, second] = candidates;
+    assertEquals(first.key.slice(0, 5), ["webrtc_signal", ROOM, "candidate", alice.peerId, bob.peerId]);
+    assert(first.key[5] !== second.key[5], "each candidate gets its own UUID");
+
+    // Only the recipient may delete a signal
+    assertEquals((await deleteSignal(bob, first.key)).status, 403);
+    assertEquals((await deleteSignal(alice, first.key)).status, 200);
+    assertEquals(await fetchSignals(alice, "candidate"), [second]);
+  });
+});
+
+// --- Validation and limits ---
+
+Deno.test("signals that aren't a description or a candidate are rejected with 422", async () => {
+  await withServer(async () => {
+    const alice = await join();
+    const bob = await join();
+    const invalid = [
+      ["offer", { sdp: "v=0\r\n" }], // No type
+      ["offer", description("answer", "wrong type")],
+      ["answer", { type: "answer", sdp: "not sdp" }],
+      ["candidate", { candidate: 42, sdpMid: "0", sdpMLineIndex: 0 }],
+      ["candidate", { candidate: "candidate:1", sdpMid: null, sdpMLineIndex: null }],
+      ["candidate", { ...iceCandidate("1"), sdpMLineIndex: -1 }],
+      ["candidate", "candidate:1"],
+    ];
+    for (const [type, payload] of invalid) {
+      const response = await sendSignal(bob, alice, type, payload, 1);
+      assertEquals(response.status, 422, JSON.stringify(payload));
+    }
+    for (const type of ["offer", "answer", "candidate"]) {
+      assertEquals(await fetchSignals(alice, type), []);
+    }
+
+    // Extra fields are dropped rather than stored
+    await sendSignal(bob, alice, "candidate", { ...iceCandidate("1"), note: "x".repeat(500) });
+    const [candidate] = await fetchSignals(alice, "candidate");
+    assertEquals(candidate.payload, { ...iceCandidate("1"), usernameFragment: null });
+  });
+});
+
+Deno.test("oversized signals are rejected with 413", async () => {
+  await withServer(async () => {
+    const alice = await join();
+    const bob = await join();
+    const huge = { type: "offer", sdp: "v=0\r\n" + "a=x\r\n".repeat(10000) };
+    assertEquals((await sendSignal(bob, alice, "offer", huge, 1)).status, 413);
+    // Under the body limit, over the SDP limit
+    const large = { type: "offer", sdp: "v=0\r\n" + "a=xxxxxx\r\n".repeat(3400) };
+    assertEquals((await sendSignal(bob, alice, "offer", large, 1)).status, 422);
+  });
+});
+
+Deno.test("signals are rate limited per address and per room, with Retry-After", async () => {
+  const signalLimits = {
+    perAddress: { capacity: 3, refillPerSecond: 0.5 },
+    perRoom: { capacity: 5, refillPerSecond: 0.5 },
+  };
+  await withServer(async () => {
+    const alice = await join();
+    const bob = await join();
+    const fromBob = (label, remoteAddress) =>
+      sendSignal(bob, alice, "candidate", iceCandidate(label), undefined, { remoteAddress });
+
+    for (const label of ["1", "2", "3"]) {
+      assertEquals((await fromBob(label, "192.0.2.10")).status, 200);
+    }
+    const limited = await fromBob("4", "192.0.2.10");
+    assertEquals(limited.status, 429);
+    assertEquals(limited.headers.get("Retry-After"), "2");
+
+    // Another address has its own bucket, until the room's runs out
+    assertEquals((await fromBob("5", "192.0.2.20")).status, 200);
+    assertEquals((await fromBob("6", "192.0.2.20")).status, 200);
+    const roomLimited = await fromBob("7", "192.0.2.30");
+    assertEquals(roomLimited.status, 429);
+    assert(roomLimited.body.includes("room"));
+    assertEquals((await fetchSignals(alice, "candidate")).length, 5);
+  }, { signalLimits });
+});
+
+Deno.test("a room holds a limited number of pending candidates", async () => {
+  await withServer(async () => {
+    const alice = await join();
+    const bob = await join();
+    for (const label of ["1", "2", "3"]) {
+      assertEquals((await sendSignal(bob, alice, "candidate", iceCandidate(label))).status, 200);
+    }
+    const capped = await sendSignal(bob, alice, "candidate", iceCandidate("4"));
+    assertEquals(capped.status, 429);
+    assertEquals(capped.headers.get("Retry-After"), "5");
+
+    // Consuming one makes room for the next
+    const [first] = await fetchSignals(alice, "candidate");
+    await deleteSignal(alice, first.key);
+    assertEquals((await sendSignal(bob, alice, "candidate", iceCandidate("4"))).status, 200);
+  }, { signalLimits: { maxRoomCandidates: 3 } });
+});
+
+Deno.test("deleting a key from another room is forbidden", async () => {
+  await withServer(async (kv) => {
+    const alice = await join();
+    const otherKey = ["webrtc_signal", "other-room", "offer", alice.peerId, "someone"];
+    await kv.set(otherKey, { seq: 1, payload: {} });
+
+    assertEquals((await deleteSignal(alice, otherKey)).status, 403);
+    assert((await kv.get(otherKey)).value !== null);
+
+    const badKey = await request("DELETE", `/signal?room=${ROOM}&key=not-json`, {
+      token: alice.token,
+    });
+    assertEquals(badKey.status, 400);
+
+    // Keys that aren't shaped like a signal's are rejected before reaching KV
+    for (
+      const key of [
+        ["webrtc_signal", ROOM, "offer", alice.peerId, "someone", "extra"],
+        ["webrtc_signal", ROOM, "candidate", alice.peerId, "someone"],
+        ["webrtc_signal", ROOM, "offer", alice.peerId, { not: "a string" }],
+        ["webrtc_signal", ROOM, "peers", alice.peerId, "someone"],
+        { 0: "webrtc_signal" },
+      ]
+    ) {
+      assertEquals((await deleteSignal(alice, key)).status, 400, JSON.stringify(key));
+    }
+  });
+});
+
+Deno.test("only the admin token can clear a whole room", async () => {
+  await withServer(async () => {
+    const alice = await join();
+
+    for (const token of [null, await fetchRoomToken(), alice.token]) {
+      const cleared = await request("DELETE", `/signal?room=${ROOM}&all=true`, { token });
+      assertEquals(cleared.status, 401);
+    }
+    assertEquals((await request("GET", "/api/rooms")).body, [
+      { room: ROOM, participants: 1, broadcast: false },
+    ]);
+
+    // The admin token in the header wins over a join token in the query
+    const roomToken = await fetchRoomToken();
+    const cleared = await request("DELETE", `/signal?room=${ROOM}&all=true&token=${roomToken}`, {
+      token: "test-admin-token",
+    });
+    assertEquals(cleared.status, 200);
+    assertEquals((await request("GET", "/api/rooms")).body, []);
+  });
+});
+
+// --- Chat history ---
+
+Deno.test("chat history is off until a participant turns it on, and off deletes it", async () => {
+  await withServer(async () => {
+    const alice = await join();
+
+    const initial = await chatHistory("GET", "messages", alice);
+    assertEquals(initial.status, 200);
+    assertEquals(initial.body.enabled, false);
+    assertEquals((await chatHistory("POST", "messages", alice, { body: chatText("m1", "hi") })).status, 403);
+    assertEquals((await chatHistory("GET", "messages/export", alice)).status, 403);
+
+    assertEquals((await chatHistory("PUT", "history", alice, { body: { enabled: true } })).status, 200);
+    assertEquals((await chatHistory("POST", "messages", alice, { body: chatText("m1", "hi") })).status, 200);
+    const { body } = await chatHistory("GET", "messages", alice);
+    assertEquals(body.enabled, true);
+    assertEquals(body.messages.map((message) => [message.id, message.peerId, message.text]), [
+      ["m1", alice.peerId, "hi"],
+    ]);
+
+    const disabled = await chatHistory("PUT", "history", alice, { body: { enabled: false } });
+    assertEquals(disabled.body, { enabled: false, deleted: 1 });
+    assertEquals((await chatHistory("GET", "messages", alice)).body.messages, []);
+
+    for (const invalid of [null, [], { enabled: "yes" }]) {
+      const rejected = await chatHistory("PUT", "history", alice, { body: invalid });
+      assertEquals(rejected.status, 400, JSON.stringify(invalid));
+    }
+  });
+});
+
+Deno.test("only a message's sender can edit or delete it, or reuse its ID", async () => {
+  await withServer(async () => {
+    const alice = await join();
+    const bob = await join();
+    await chatHistory("PUT", "history", alice, { body: { enabled: true } });
+    await chatHistory("POST", "messages", alice, { body: chatText("m1", "hello") });
+
+    const edit = { type: "edit", id: "e1", sender: "Bob", ts: Date.now(), messageId: "m1", text: "hijacked" };
+    assertEquals((await chatHistory("POST", "messages", bob, { body: edit })).status, 403);
+    const remove = { type: "delete", id: "d1", sender: "Bob", ts: Date.now(), messageId: "m1" };
+    assertEquals((await chatHistory("POST", "messages", bob, { body: remove })).status, 403);
+    const overwrite = await chatHistory("POST", "messages", bob, { body: chatText("m1", "mine now", "Bob") });
+    assertEquals(overwrite.status, 409);
+    const missing = await chatHistory("POST", "messages", alice, {
+      body: { ...edit, sender: "Alice", messageId: "nope" },
+    });
+    assertEquals(missing.status, 404);
+
+    const edited = await chatHistory("POST", "messages", alice, { body: { ...edit, sender: "Alice", text: "hello!" } });
+    assertEquals(edited.status, 200);
+    assertEquals([edited.body.peerId, edited.body.text, edited.body.edited], [alice.peerId, "hello!", true]);
+    await chatHistory("POST", "messages", alice, { body: chatText("m2", "bye") });
+    const deleted = await chatHistory("POST", "messages", alice, {
+      body: { ...remove, sender: "Alice", messageId: "m2" },
+    });
+    assertEquals([deleted.body.deleted, deleted.body.text], [true, ""]);
+  });
+});
+
+Deno.test("chat history is exported as JSON or Markdown", async () => {
+  await withServer(async () => {
+    const alice = await join();
+    await chatHistory("PUT", "history", alice, { body: { enabled: true } });
+    await chatHistory("POST", "messages", alice, { body: chatText("m1", "first") });
+
+    const json = await chatHistory("GET", "messages/export", alice, { query: "&format=json" });
+    assertEquals(json.status, 200);
+    assertEquals(json.headers.get("Content-Type"), "application/json");
+    assertEquals(json.body.room, ROOM);
+    assertEquals(json.body.messages.map((message) => message.text), ["first"]);
+
+    const markdown = await chatHistory("GET", "messages/export", alice, { query: "&format=markdown" });
+    assertEquals(markdown.status, 200);
+    assertEquals(markdown.headers.get("Content-Type"), "text/markdown; charset=utf-8");
+    assert(markdown.body.startsWith(`# Chat transcript: ${ROOM}\n`));
+    assert(markdown.body.includes("Alice**: first"));
+
+    const other = await chatHistory("GET", "messages/export", alice, { query: "&format=pdf" });
+    assertEquals(other.status, 400);
+  });
+});
+
+Deno.test("chat history is only for participants on the roster", async () => {
+  await withServer(async () => {
+    const alice = await join();
+    await chatHistory("PUT", "history", alice, { body: { enabled: true } });
+
+    // Anyone can get a room token, so it doesn't open the transcript
+    const roomToken = await fetchRoomToken();
+    for (const resource of ["messages", "messages/export"]) {
+      const withoutPeer = await request("GET", `/api/rooms/${ROOM}/${resource}`, { token: roomToken });
+      assertEquals(withoutPeer.status, 400);
+      const asAlice = await request("GET", `/api/rooms/${ROOM}/${resource}?peer=${alice.peerId}`, {
+        token: roomToken,
+      });
+      assertEquals(asAlice.status, 403);
+    }
+
+    // Nor does a participant's token once they have left
+    await request("DELETE", `/signal?room=${ROOM}&peer=${alice.peerId}&all=true`, { token: alice.token });
+    assertEquals((await chatHistory("GET", "messages", alice)).status, 403);
+  });
+});
+
+Deno.test("chat history can't be turned on in a passphrase-protected room", async () => {
+  await withServer(async () => {
+    const { body: alice } = await request("POST", `/signal/join?room=${ROOM}`, {
+      token: await fetchRoomToken(),
+      body: { keyCheck: "key-check" },
+    });
+    const enabled = await chatHistory("PUT", "history", alice, { body: { enabled: true } });
+    assertEquals(enabled.status, 409);
+    assertEquals((await chatHistory("GET", "messages", alice)).body.enabled, false);
+  });
+});
+
+// --- Full flow ---
+// Two scripted clients going through what client.js does over HTTP polling: join, offer,
+// answer, candidates both ways, deleting each signal once handled, then leaving.
+
+Deno.test("two clients connect through offer, answer and candidates, then leave", async () => {
+  await withServer(async (kv) => {
+    const alice = await join();
+    const bob = await join();
+    assertEquals(bob.role, "initiator");
+
+    // Bob, the newcomer, offers to everyone already present
+    for (const peerId of bob.peers) {
+      const response = await sendSignal(bob, { peerId }, "offer", description("offer", "bob-offer"), 1);
+      assertEquals(response.status, 200);
+    }
+
+    // Alice polls for the offer, handles it, deletes it and answers
+    const [offer] = await fetchSignals(alice, "offer");
+    assertEquals(offer.from, bob.peerId);
+    assertEquals(offer.payload, description("offer", "bob-offer"));
+    assertEquals((await deleteSignal(alice, offer.key)).status, 200);
+    assertEquals(
+      (await sendSignal(alice, bob, "answer", description("answer", "alice-answer"), offer.seq)).status,
+      200,
+    );
+
+    // Both trickle candidates
+    await sendSignal(alice, bob, "candidate", iceCandidate("alice-host"));
+    await sendSignal(alice, bob, "candidate", iceCandidate("alice-srflx"));
+    await sendSignal(bob, alice, "candidate", iceCandidate("bob-relay"));
+
+    // Bob takes the answer (matching his offer's seq) and Alice's candidates
+    const [answer] = await fetchSignals(bob, "answer");
+    assertEquals(answer.from, alice.peerId);
+    assertEquals(answer.seq, 1);
+    assertEquals(answer.payload, description("answer", "alice-answer"));
+    await deleteSignal(bob, answer.key);
+    const bobCandidates = await fetchSignals(bob, "candidate");
+    assertEquals(bobCandidates.length, 2);
+    for (const candidate of bobCandidates) {
+      assertEquals((await deleteSignal(bob, candidate.key)).status, 200);
+    }
+
+    // Alice takes Bob's candidate
+    const aliceCandidates = await fetchSignals(alice, "candidate");
+    assertEquals(aliceCandidates.map((candidate) => candidate.payload.candidate), [
+      "candidate:bob-relay",
+    ]);
+    await deleteSignal(alice, aliceCandidates[0].key);
+
+    // Everything handled: nothing waiting for either side
+    for (const peer of [alice, bob]) {
+      for (const type of ["offer", "answer", "candidate"]) {
+        assertEquals(await fetchSignals(peer, type), []);
+      }
+    }
+
+    // Bob leaves; his roster entry and any signals to or from him are gone
+    await sendSignal(bob, alice, "candidate", iceCandidate("late"));
+    const left = await request("DELETE", `/signal?room=${ROOM}&peer=${bob.peerId}&all=true`, {
+      token: bob.token,
+    });
+    assertEquals(left.status, 200);
+    assertEquals(await fetchSignals(alice, "candidate"), []);
+    const { body: peers } = await request("GET", `/signal?room=${ROOM}&type=peers`, {
+      token: alice.token,
+    });
+    assertEquals(peers, [alice.peerId]);
+
+    // Alice leaves too, and the room drops out of the lobby
+    await request("DELETE", `/signal?room=${ROOM}&peer=${alice.peerId}&all=true`, {
+      token: alice.token,
+    });
+    assertEquals((await request("GET", "/api/rooms")).body, []);
+    const remaining = [];
+    for await (const entry of kv.list({ prefix: ["webrtc_signal", ROOM] })) {
+      remaining.push(entry.key[2]);
+    }
+    assertEquals(remaining, ["last_signal", "roster_version"]);
+  });
+});
@@ -0,0 +1,98 @@
+// TLS certificates for Deno.serve. Browsers only allow camera and microphone access on HTTPS
+// (or http://localhost), so testing with a second machine on the LAN needs HTTPS.
+//
+// loadTlsCertificate(tls) takes the tls setting from config.js and resolves to { cert, key }
+// (PEM text). For { selfSigned: true } it creates a certificate with openssl, valid for
+// localhost and this machine's LAN addresses, and keeps it in .certs/ so browsers don't
+// have to accept a new one on every restart. Delete .certs/ to get a new one, e.g. after
+// the machine's address changed.
+
+import { log } from "./logger.js";
+
+const SELF_SIGNED_DIR = "./.certs";
+const SELF_SIGNED_CERT_FILE = `${SELF_SIGNED_DIR}/self-signed.crt`;
+const SELF_SIGNED_KEY_FILE = `${SELF_SIGNED_DIR}/self-signed.key`;
+const SELF_SIGNED_VALID_DAYS = 365;
+
+async function fileExists(path) {
+  try {
+    await Deno.stat(path);
+    return true;
+  } catch (error) {
+    if (error instanceof Deno.errors.NotFound) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// IPv4 addresses other machines can reach us on. Needs --allow-sys; without it the
+// certificate only covers localhost.
+function lanAddresses() {
+  try {
+    return Deno.networkInterfaces()
+      .filter((networkInterface) => networkInterface.family === "IPv4")
+      .map((networkInterface) => networkInterface.address)
+      .filter((address) => address !== "127.0.0.1");
+  } catch (error) {
+    log.warn("Could not list network interfaces, certificate covers localhost only", {
+      error: error.message,
+    });
+    return [];
+  }
+}
+
+async function createSelfSignedCertificate() {
+  const addresses = lanAddresses();
+  const subjectAltNames = [
+    "DNS:localhost",
+    "IP:127.0.0.1",
+    ...addresses.map((address) => `IP:${address}`),
+  ];
+  await Deno.mkdir(SELF_SIGNED_DIR, { recursive: true });
+  const command = new Deno.Command("openssl", {
+    args: [
+      "req",
+      "-x509",
+      "-newkey",
+      "rsa:2048",
+      "-nodes",
+      "-keyout",
+      SELF_SIGNED_KEY_FILE,
+      "-out",
+      SELF_SIGNED_CERT_FILE,
+      "-days",
+      String(SELF_SIGNED_VALID_DAYS),
+      "-subj",
+      "/CN=lanchu local development",
+      "-addext",
+      `subjectAltName=${subjectAltNames.join(",")}`,
+    ],
+    stdout: "null",
+    stderr: "piped",
+  });
+  const { success, stderr } = await command.output();
+  if (!success) {
+    throw new Error(`openssl failed: ${new TextDecoder().decode(stderr).trim()}`);
+  }
+  log.info("Created self-signed certificate", {
+    certFile: SELF_SIGNED_CERT_FILE,
+    names: subjectAltNames,
+  });
+}
+
+export async function loadTlsCertificate(tls) {
+  let certFile = tls.certFile;
+  let keyFile = tls.keyFile;
+  if (tls.selfSigned) {
+    certFile = SELF_SIGNED_CERT_FILE;
+    keyFile = SELF_SIGNED_KEY_FILE;
+    if (!(await fileExists(certFile)) || !(await fileExists(keyFile))) {
+      await createSelfSignedCertificate();
+    }
+  }
+  return {
+    cert: await Deno.readTextFile(certFile),
+    key: await Deno.readTextFile(keyFile),
+  };
+}
@@ -0,0 +1,89 @@
+// Short-lived join tokens for signaling, as HS256 JWTs signed with SIGNALING_SECRET.
+// Claims:
+//   room - the room the token is valid for
+//   peer - the participant it speaks for (absent on the pre-join token from /api/rooms/<room>/token)
+//   exp  - expiry, in seconds since the epoch (JWT convention)
+//
+// createTokenSigner(secret) returns { issue(claims, ttlMs), verify(token) }. verify resolves to
+// the claims, or null if the token is malformed, forged or expired.
+
+const encoder = new TextEncoder();
+const JWT_HEADER = { alg: "HS256", typ: "JWT" };
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+}
+
+function encodeJson(value) {
+  return base64UrlEncode(encoder.encode(JSON.stringify(value)));
+}
+
+export async function createTokenSigner(secret) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"],
+  );
+
+  return {
+    async issue(claims, ttlMs) {
+      const payload = {
+        ...claims,
+        exp: Math.floor((Date.now() + ttlMs) / 1000),
+      };
+      const signingInput = `${encodeJson(JWT_HEADER)}.${encodeJson(payload)}`;
+      const signature = await crypto.subtle.sign(
+        "HMAC",
+        key,
+        encoder.encode(signingInput),
+      );
+      return {
+        token: `${signingInput}.${base64UrlEncode(new Uint8Array(signature))}`,
+        expiresAt: payload.exp * 1000,
+      };
+    },
+
+    async verify(token) {
+      if (typeof token !== "string") {
+        return null;
+      }
+      const parts = token.split(".");
+      if (parts.length !== 3) {
+        return null;
+      }
+      try {
+        const header = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[0])));
+        if (header.alg !== JWT_HEADER.alg) {
+          return null; // Never let the token choose its own algorithm
+        }
+        const isValid = await crypto.subtle.verify(
+          "HMAC",
+          key,
+          base64UrlDecode(parts[2]),
+          encoder.encode(`${parts[0]}.${parts[1]}`),
+        );
+        if (!isValid) {
+          return null;
+        }
+        const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[1])));
+        if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) {
+          return null;
+        }
+        return claims;
+      } catch (_error) {
+        return null; // Bad base64 or JSON
+      }
+    },
+  };
+}